@@ -29,14 +29,21 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
+const session = require('express-session');
+const crypto = require('crypto');
 const path = require('path');
 
 // Import custom modules
 const apiRoutes = require('./routes/api');
+const authRoutes = require('./routes/auth');
 const { errorHandler } = require('./middleware/validation');
+const { authenticate } = require('./middleware/auth');
+const { createAuthProvider } = require('./auth');
+const FileSessionStore = require('./auth/sessionStore');
 const MerakiAPI = require('./config/meraki');
 
 const app = express();
+const authProvider = createAuthProvider();
 
 // Security middleware
 app.use(helmet({
@@ -59,16 +66,44 @@ app.use('/api/', limiter);
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
-// Serve static files
-app.use(express.static(path.join(__dirname, 'public')));
+// Server-side sessions; the cookie only carries the session ID. They are kept in files unless
+// SESSION_STORE=memory, which loses them on restart and cannot be shared between processes.
+if (!process.env.SESSION_SECRET) {
+    console.warn('⚠️  SESSION_SECRET is not set, using a random secret (sessions end on restart)');
+}
+const sessionStore = process.env.SESSION_STORE === 'memory'
+    ? null
+    : new FileSessionStore({ dir: process.env.SESSION_DIR });
+if (!sessionStore) {
+    console.warn('⚠️  SESSION_STORE=memory: sessions end on restart and are not shared between processes');
+}
+app.use(session({
+    name: 'rma.sid',
+    ...(sessionStore ? { store: sessionStore } : {}),
+    secret: process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex'),
+    resave: false,
+    saveUninitialized: false,
+    cookie: {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: process.env.SESSION_COOKIE_SECURE === 'true',
+        maxAge: (parseInt(process.env.SESSION_MAX_AGE_HOURS, 10) || 8) * 60 * 60 * 1000
+    }
+}));
 
-// Root route
-app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, 'public', 'index.html'));
+// Root route. The portal page lives outside the static folder so it is only ever served after login.
+app.get(['/', '/index.html'], authenticate, (req, res) => {
+    res.sendFile(path.join(__dirname, 'views', 'index.html'));
 });
 
+// Serve static files (login page, scripts and styles)
+app.use(express.static(path.join(__dirname, 'public'), { index: false }));
+
+// Login and logout routes are the only API routes open without a session
+app.use('/api/auth', authRoutes(authProvider));
+
 // API routes
-app.use('/api', apiRoutes);
+app.use('/api', authenticate, apiRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -130,6 +165,7 @@ app.listen(PORT, async () => {
     console.log(`📊 Health check: http://localhost:${PORT}/api/health`);
     console.log('---');
     console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+    console.log(`🔐 Authentication provider: ${authProvider.name}`);
     
     const orgMappings = process.env.MERAKI_ORGS;
     if (orgMappings) {
@@ -0,0 +1,74 @@
+/**
+ * @module meraki_ap_rma
+ * @author Eric Schriver <eschrive@cisco.com>
+ * @copyright Copyright (c) 2025 Cisco and/or its affiliates.
+ * @license Cisco Sample Code License, Version 1.1
+ */
+
+/**
+ * @license
+ * Copyright (c) 2025 Cisco and/or its affiliates.
+ *
+ * This software is licensed to you under the terms of the Cisco Sample
+ * Code License, Version 1.1 (the "License"). You may obtain a copy of the
+ * License at
+ *
+ *                https://developer.cisco.com/docs/licenses
+ *
+ * All use of the material herein must be in accordance with the terms of
+ * the License. All rights not expressly granted by the License are
+ * reserved. Unless required by applicable law or agreed to separately in
+ * writing, software distributed under the License is distributed on an "AS
+ * IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied.
+ */
+
+
+// Filtering and paging shared by the audit store backends.
+// filters: serial, organizationId, networkId, status (array), user, from, to (Date)
+
+const matchesFilters = (entry, filters) => {
+    if (filters.serial && entry.failedSerial !== filters.serial && entry.replacementSerial !== filters.serial) {
+        return false;
+    }
+    if (filters.organizationId && String(entry.organizationId) !== filters.organizationId) {
+        return false;
+    }
+    if (filters.networkId && entry.networkId !== filters.networkId) {
+        return false;
+    }
+    if (filters.status && !filters.status.includes(entry.status)) {
+        return false;
+    }
+    if (filters.user && entry.operator !== filters.user) {
+        return false;
+    }
+
+    const timestamp = new Date(entry.timestamp);
+    if (filters.from && !(timestamp >= filters.from)) {
+        return false;
+    }
+    if (filters.to && !(timestamp <= filters.to)) {
+        return false;
+    }
+    return true;
+};
+
+// One page of entries that are already sorted newest first
+const paginate = (entries, paging = {}) => {
+    const page = paging.page || 1;
+    const pageSize = paging.pageSize || 50;
+
+    return {
+        total: entries.length,
+        page,
+        pageSize,
+        totalPages: Math.max(Math.ceil(entries.length / pageSize), 1),
+        entries: entries.slice((page - 1) * pageSize, page * pageSize)
+    };
+};
+
+module.exports = {
+    matchesFilters,
+    paginate
+};
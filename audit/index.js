@@ -0,0 +1,91 @@
+/**
+ * @module meraki_ap_rma
+ * @author Eric Schriver <eschrive@cisco.com>
+ * @copyright Copyright (c) 2025 Cisco and/or its affiliates.
+ * @license Cisco Sample Code License, Version 1.1
+ */
+
+/**
+ * @license
+ * Copyright (c) 2025 Cisco and/or its affiliates.
+ *
+ * This software is licensed to you under the terms of the Cisco Sample
+ * Code License, Version 1.1 (the "License"). You may obtain a copy of the
+ * License at
+ *
+ *                https://developer.cisco.com/docs/licenses
+ *
+ * All use of the material herein must be in accordance with the terms of
+ * the License. All rights not expressly granted by the License are
+ * reserved. Unless required by applicable law or agreed to separately in
+ * writing, software distributed under the License is distributed on an "AS
+ * IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied.
+ */
+
+
+const path = require('path');
+const JsonlAuditStore = require('./jsonlStore');
+const SqliteAuditStore = require('./sqliteStore');
+const { paginate } = require('./filters');
+const { DAY_MS } = require('../utils/storage');
+
+// Audit backend used when auditing is switched off
+class NullAuditStore {
+    constructor() {
+        this.name = 'none';
+    }
+
+    async append() {}
+
+    async query(filters = {}, paging = {}) {
+        return paginate([], paging);
+    }
+
+    async close() {}
+}
+
+const numberFromEnv = (name, fallback) => {
+    const value = parseFloat(process.env[name]);
+    return Number.isNaN(value) ? fallback : value;
+};
+
+// Build the audit store selected by AUDIT_STORE (jsonl, sqlite or none).
+// LOG_TO_FILE=false still turns auditing off for older .env files.
+const createAuditStore = () => {
+    const storeName = (process.env.AUDIT_STORE || (process.env.LOG_TO_FILE === 'false' ? 'none' : 'jsonl')).toLowerCase();
+    const retentionMs = numberFromEnv('AUDIT_RETENTION_DAYS', 365) * DAY_MS;
+
+    switch (storeName) {
+        case 'jsonl':
+            return new JsonlAuditStore({
+                file: process.env.AUDIT_LOG_FILE || path.join(__dirname, '../logs/operations.log'),
+                maxFileBytes: numberFromEnv('AUDIT_MAX_FILE_MB', 10) * 1024 * 1024,
+                maxFileAgeMs: numberFromEnv('AUDIT_MAX_FILE_DAYS', 30) * DAY_MS,
+                retentionMs
+            });
+        case 'sqlite':
+            return new SqliteAuditStore({
+                file: process.env.AUDIT_SQLITE_FILE || path.join(__dirname, '../logs/audit.sqlite'),
+                retentionMs
+            });
+        case 'none':
+            return new NullAuditStore();
+        default:
+            throw new Error(`Unknown AUDIT_STORE "${storeName}" (expected jsonl, sqlite or none)`);
+    }
+};
+
+// One store per process, shared by every MerakiAPI instance
+let defaultStore = null;
+const getAuditStore = () => {
+    if (!defaultStore) {
+        defaultStore = createAuditStore();
+    }
+    return defaultStore;
+};
+
+module.exports = {
+    createAuditStore,
+    getAuditStore
+};
@@ -0,0 +1,189 @@
+/**
+ * @module meraki_ap_rma
+ * @author Eric Schriver <eschrive@cisco.com>
+ * @copyright Copyright (c) 2025 Cisco and/or its affiliates.
+ * @license Cisco Sample Code License, Version 1.1
+ */
+
+/**
+ * @license
+ * Copyright (c) 2025 Cisco and/or its affiliates.
+ *
+ * This software is licensed to you under the terms of the Cisco Sample
+ * Code License, Version 1.1 (the "License"). You may obtain a copy of the
+ * License at
+ *
+ *                https://developer.cisco.com/docs/licenses
+ *
+ * All use of the material herein must be in accordance with the terms of
+ * the License. All rights not expressly granted by the License are
+ * reserved. Unless required by applicable law or agreed to separately in
+ * writing, software distributed under the License is distributed on an "AS
+ * IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied.
+ */
+
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { matchesFilters, paginate } = require('./filters');
+const { DAY_MS } = require('../utils/storage');
+
+// Audit entries as JSON lines. The active file is rotated to
+// "<name>-<timestamp><ext>" once it passes maxFileBytes or maxFileAgeMs,
+// and rotated files older than retentionMs are deleted (0 keeps them forever).
+class JsonlAuditStore {
+    constructor(options = {}) {
+        this.name = 'jsonl';
+        this.file = options.file || path.join(__dirname, '../logs/operations.log');
+        this.maxFileBytes = options.maxFileBytes || 10 * 1024 * 1024;
+        this.maxFileAgeMs = options.maxFileAgeMs || 30 * DAY_MS;
+        this.retentionMs = options.retentionMs ?? 365 * DAY_MS;
+
+        const { dir, name, ext } = path.parse(this.file);
+        this.dir = dir;
+        this.rotatedPattern = new RegExp(`^${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}-[0-9TZ-]+${ext.replace('.', '\\.')}$`);
+        this.rotatedName = (stamp) => `${name}-${stamp}${ext}`;
+
+        this.current = null; // { size, startedAt } of the active file, loaded on first write
+        this.queue = Promise.resolve();
+    }
+
+    // Writes are queued so entries land in order and rotation never races an append
+    append(entry) {
+        const write = this.queue.then(() => this.write(entry));
+        this.queue = write.catch(() => {});
+        return write;
+    }
+
+    async write(entry) {
+        const line = JSON.stringify(entry) + '\n';
+
+        if (!this.current) {
+            await fs.promises.mkdir(this.dir, { recursive: true });
+            this.current = await this.inspectActiveFile();
+            await this.applyRetention();
+        }
+
+        if (this.current.size > 0 && (
+            this.current.size + Buffer.byteLength(line) > this.maxFileBytes ||
+            Date.now() - this.current.startedAt > this.maxFileAgeMs
+        )) {
+            await this.rotate();
+        }
+
+        await fs.promises.appendFile(this.file, line);
+        this.current.size += Buffer.byteLength(line);
+        if (!this.current.startedAt) {
+            this.current.startedAt = Date.now();
+        }
+    }
+
+    // Size of the active file and the time of its first entry
+    async inspectActiveFile() {
+        let stat;
+        try {
+            stat = await fs.promises.stat(this.file);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return { size: 0, startedAt: null };
+            }
+            throw error;
+        }
+
+        let startedAt = stat.mtimeMs;
+        const handle = await fs.promises.open(this.file, 'r');
+        try {
+            const { buffer, bytesRead } = await handle.read(Buffer.alloc(4096), 0, 4096, 0);
+            const firstLine = buffer.toString('utf8', 0, bytesRead).split('\n')[0];
+            const timestamp = Date.parse(JSON.parse(firstLine).timestamp);
+            if (!Number.isNaN(timestamp)) {
+                startedAt = timestamp;
+            }
+        } catch (error) {
+            // Unreadable first line: fall back to the modification time
+        } finally {
+            await handle.close();
+        }
+
+        return { size: stat.size, startedAt };
+    }
+
+    async rotate() {
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        let rotated = path.join(this.dir, this.rotatedName(stamp));
+        for (let suffix = 1; fs.existsSync(rotated); suffix++) {
+            rotated = path.join(this.dir, this.rotatedName(`${stamp}-${suffix}`));
+        }
+        await fs.promises.rename(this.file, rotated);
+        console.log(`🗂️  Audit log rotated to ${path.basename(rotated)}`);
+
+        this.current = { size: 0, startedAt: null };
+        await this.applyRetention();
+    }
+
+    // Rotated files, oldest first (the timestamp in the name sorts chronologically)
+    async listRotatedFiles() {
+        const names = await fs.promises.readdir(this.dir).catch(() => []);
+        return names.filter(name => this.rotatedPattern.test(name)).sort().map(name => path.join(this.dir, name));
+    }
+
+    async applyRetention() {
+        if (!this.retentionMs) {
+            return;
+        }
+
+        const cutoff = Date.now() - this.retentionMs;
+        for (const file of await this.listRotatedFiles()) {
+            const stat = await fs.promises.stat(file);
+            if (stat.mtimeMs < cutoff) {
+                await fs.promises.unlink(file);
+                console.log(`🧹 Audit log ${path.basename(file)} removed (past retention)`);
+            }
+        }
+    }
+
+    // Newest entries first across the active and rotated files.
+    // `visible(entry)` lets callers drop entries the user may not see.
+    async query(filters = {}, paging = {}, visible = () => true) {
+        const matches = [];
+        const files = [...await this.listRotatedFiles(), this.file];
+
+        for (const file of files) {
+            if (!fs.existsSync(file)) {
+                continue;
+            }
+
+            const lines = readline.createInterface({
+                input: fs.createReadStream(file, { encoding: 'utf8' }),
+                crlfDelay: Infinity
+            });
+
+            for await (const line of lines) {
+                if (!line.trim()) {
+                    continue;
+                }
+
+                let entry;
+                try {
+                    entry = JSON.parse(line);
+                } catch (error) {
+                    continue; // Skip partially written or hand-edited lines
+                }
+
+                if (matchesFilters(entry, filters) && visible(entry)) {
+                    matches.push(entry);
+                }
+            }
+        }
+
+        return paginate(matches.reverse(), paging);
+    }
+
+    async close() {
+        await this.queue;
+    }
+}
+
+module.exports = JsonlAuditStore;
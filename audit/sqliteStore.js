@@ -0,0 +1,186 @@
+/**
+ * @module meraki_ap_rma
+ * @author Eric Schriver <eschrive@cisco.com>
+ * @copyright Copyright (c) 2025 Cisco and/or its affiliates.
+ * @license Cisco Sample Code License, Version 1.1
+ */
+
+/**
+ * @license
+ * Copyright (c) 2025 Cisco and/or its affiliates.
+ *
+ * This software is licensed to you under the terms of the Cisco Sample
+ * Code License, Version 1.1 (the "License"). You may obtain a copy of the
+ * License at
+ *
+ *                https://developer.cisco.com/docs/licenses
+ *
+ * All use of the material herein must be in accordance with the terms of
+ * the License. All rights not expressly granted by the License are
+ * reserved. Unless required by applicable law or agreed to separately in
+ * writing, software distributed under the License is distributed on an "AS
+ * IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied.
+ */
+
+
+const fs = require('fs');
+const path = require('path');
+const { paginate } = require('./filters');
+const { DAY_MS } = require('../utils/storage');
+
+const RETENTION_INTERVAL = 60 * 60 * 1000;
+
+// Audit entries in an embedded SQLite database (needs the optional sqlite3 package).
+// Filter columns are indexed; the full entry is kept as JSON. Rows older than
+// retentionMs are deleted on open and then hourly (0 keeps them forever).
+class SqliteAuditStore {
+    constructor(options = {}) {
+        this.name = 'sqlite';
+        this.file = options.file || path.join(__dirname, '../logs/audit.sqlite');
+        this.retentionMs = options.retentionMs ?? 365 * DAY_MS;
+        this.lastRetentionRun = 0;
+        this.db = null;
+        this.ready = null;
+    }
+
+    open() {
+        if (!this.ready) {
+            this.ready = (async () => {
+                let sqlite3;
+                try {
+                    sqlite3 = require('sqlite3');
+                } catch (error) {
+                    throw new Error('AUDIT_STORE=sqlite requires the sqlite3 package (npm install sqlite3)');
+                }
+
+                await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+                this.db = await new Promise((resolve, reject) => {
+                    const db = new sqlite3.Database(this.file, error => error ? reject(error) : resolve(db));
+                });
+
+                await this.run(`CREATE TABLE IF NOT EXISTS operations (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    timestamp TEXT NOT NULL,
+                    status TEXT NOT NULL,
+                    organization_id TEXT,
+                    network_id TEXT,
+                    failed_serial TEXT,
+                    replacement_serial TEXT,
+                    operator TEXT,
+                    entry TEXT NOT NULL
+                )`);
+                await this.run('CREATE INDEX IF NOT EXISTS operations_timestamp ON operations (timestamp)');
+                await this.run('CREATE INDEX IF NOT EXISTS operations_failed_serial ON operations (failed_serial)');
+                await this.run('CREATE INDEX IF NOT EXISTS operations_replacement_serial ON operations (replacement_serial)');
+                await this.applyRetention();
+            })();
+            this.ready.catch(() => {
+                this.ready = null; // Try to open again on the next write
+            });
+        }
+        return this.ready;
+    }
+
+    run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function (error) {
+                return error ? reject(error) : resolve(this);
+            });
+        });
+    }
+
+    all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (error, rows) => error ? reject(error) : resolve(rows));
+        });
+    }
+
+    async append(entry) {
+        await this.open();
+        await this.run(
+            `INSERT INTO operations (timestamp, status, organization_id, network_id, failed_serial, replacement_serial, operator, entry)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                entry.timestamp,
+                entry.status,
+                entry.organizationId != null ? String(entry.organizationId) : null,
+                entry.networkId || null,
+                entry.failedSerial || null,
+                entry.replacementSerial || null,
+                entry.operator || null,
+                JSON.stringify(entry)
+            ]
+        );
+
+        if (Date.now() - this.lastRetentionRun > RETENTION_INTERVAL) {
+            await this.applyRetention();
+        }
+    }
+
+    async applyRetention() {
+        this.lastRetentionRun = Date.now();
+        if (!this.retentionMs) {
+            return;
+        }
+
+        const cutoff = new Date(Date.now() - this.retentionMs).toISOString();
+        const result = await this.run('DELETE FROM operations WHERE timestamp < ?', [cutoff]);
+        if (result.changes > 0) {
+            console.log(`🧹 ${result.changes} audit entries removed (past retention)`);
+        }
+    }
+
+    // Newest entries first. `visible(entry)` lets callers drop entries the user may not see.
+    async query(filters = {}, paging = {}, visible = () => true) {
+        await this.open();
+
+        const conditions = [];
+        const params = [];
+        if (filters.serial) {
+            conditions.push('(failed_serial = ? OR replacement_serial = ?)');
+            params.push(filters.serial, filters.serial);
+        }
+        if (filters.organizationId) {
+            conditions.push('organization_id = ?');
+            params.push(filters.organizationId);
+        }
+        if (filters.networkId) {
+            conditions.push('network_id = ?');
+            params.push(filters.networkId);
+        }
+        if (filters.status) {
+            conditions.push(`status IN (${filters.status.map(() => '?').join(', ')})`);
+            params.push(...filters.status);
+        }
+        if (filters.user) {
+            conditions.push('operator = ?');
+            params.push(filters.user);
+        }
+        if (filters.from) {
+            conditions.push('timestamp >= ?');
+            params.push(filters.from.toISOString());
+        }
+        if (filters.to) {
+            conditions.push('timestamp <= ?');
+            params.push(filters.to.toISOString());
+        }
+
+        const rows = await this.all(
+            `SELECT entry FROM operations ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''} ORDER BY timestamp DESC, id DESC`,
+            params
+        );
+
+        return paginate(rows.map(row => JSON.parse(row.entry)).filter(visible), paging);
+    }
+
+    async close() {
+        if (this.db) {
+            await new Promise(resolve => this.db.close(() => resolve()));
+            this.db = null;
+            this.ready = null;
+        }
+    }
+}
+
+module.exports = SqliteAuditStore;
@@ -0,0 +1,54 @@
+/**
+ * @module meraki_ap_rma
+ * @author Eric Schriver <eschrive@cisco.com>
+ * @copyright Copyright (c) 2025 Cisco and/or its affiliates.
+ * @license Cisco Sample Code License, Version 1.1
+ */
+
+/**
+ * @license
+ * Copyright (c) 2025 Cisco and/or its affiliates.
+ *
+ * This software is licensed to you under the terms of the Cisco Sample
+ * Code License, Version 1.1 (the "License"). You may obtain a copy of the
+ * License at
+ *
+ *                https://developer.cisco.com/docs/licenses
+ *
+ * All use of the material herein must be in accordance with the terms of
+ * the License. All rights not expressly granted by the License are
+ * reserved. Unless required by applicable law or agreed to separately in
+ * writing, software distributed under the License is distributed on an "AS
+ * IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied.
+ */
+
+
+const LocalAuthProvider = require('./localProvider');
+const OIDCAuthProvider = require('./oidcProvider');
+
+// Build the login provider selected by AUTH_PROVIDER (local or oidc)
+const createAuthProvider = () => {
+    const providerName = (process.env.AUTH_PROVIDER || 'local').toLowerCase();
+
+    switch (providerName) {
+        case 'local':
+            return new LocalAuthProvider({
+                usersFile: process.env.AUTH_USERS_FILE
+            });
+        case 'oidc':
+            return new OIDCAuthProvider({
+                issuerUrl: process.env.OIDC_ISSUER_URL,
+                clientId: process.env.OIDC_CLIENT_ID,
+                clientSecret: process.env.OIDC_CLIENT_SECRET,
+                redirectUri: process.env.OIDC_REDIRECT_URI,
+                scopes: process.env.OIDC_SCOPES
+            });
+        default:
+            throw new Error(`Unknown AUTH_PROVIDER "${providerName}" (expected local or oidc)`);
+    }
+};
+
+module.exports = {
+    createAuthProvider
+};
@@ -0,0 +1,67 @@
+/**
+ * @module meraki_ap_rma
+ * @author Eric Schriver <eschrive@cisco.com>
+ * @copyright Copyright (c) 2025 Cisco and/or its affiliates.
+ * @license Cisco Sample Code License, Version 1.1
+ */
+
+/**
+ * @license
+ * Copyright (c) 2025 Cisco and/or its affiliates.
+ *
+ * This software is licensed to you under the terms of the Cisco Sample
+ * Code License, Version 1.1 (the "License"). You may obtain a copy of the
+ * License at
+ *
+ *                https://developer.cisco.com/docs/licenses
+ *
+ * All use of the material herein must be in accordance with the terms of
+ * the License. All rights not expressly granted by the License are
+ * reserved. Unless required by applicable law or agreed to separately in
+ * writing, software distributed under the License is distributed on an "AS
+ * IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied.
+ */
+
+
+const fs = require('fs');
+const path = require('path');
+const { verifyPassword } = require('./passwords');
+
+// Username/password login against a JSON file of users with scrypt password hashes:
+// { "users": [ { "username": "...", "displayName": "...", "passwordHash": "scrypt:..." } ] }
+class LocalAuthProvider {
+    constructor(options = {}) {
+        this.name = 'local';
+        this.usersFile = options.usersFile || path.join(__dirname, '../config/users.json');
+    }
+
+    // Re-read on every login so edits to the file apply without a restart
+    loadUsers() {
+        try {
+            const { users = [] } = JSON.parse(fs.readFileSync(this.usersFile, 'utf8'));
+            return users;
+        } catch (error) {
+            console.error(`❌ Could not read users file ${this.usersFile}:`, error.message);
+            return [];
+        }
+    }
+
+    async authenticate(username, password) {
+        const user = this.loadUsers().find(candidate => candidate.username === username);
+
+        // Hash anyway for unknown users so response time does not reveal which usernames exist
+        const valid = await verifyPassword(password, user?.passwordHash || 'scrypt:00:00');
+        if (!user || !valid || user.disabled) {
+            return null;
+        }
+
+        return {
+            username: user.username,
+            displayName: user.displayName || user.username,
+            provider: this.name
+        };
+    }
+}
+
+module.exports = LocalAuthProvider;
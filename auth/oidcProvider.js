@@ -0,0 +1,162 @@
+/**
+ * @module meraki_ap_rma
+ * @author Eric Schriver <eschrive@cisco.com>
+ * @copyright Copyright (c) 2025 Cisco and/or its affiliates.
+ * @license Cisco Sample Code License, Version 1.1
+ */
+
+/**
+ * @license
+ * Copyright (c) 2025 Cisco and/or its affiliates.
+ *
+ * This software is licensed to you under the terms of the Cisco Sample
+ * Code License, Version 1.1 (the "License"). You may obtain a copy of the
+ * License at
+ *
+ *                https://developer.cisco.com/docs/licenses
+ *
+ * All use of the material herein must be in accordance with the terms of
+ * the License. All rights not expressly granted by the License are
+ * reserved. Unless required by applicable law or agreed to separately in
+ * writing, software distributed under the License is distributed on an "AS
+ * IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied.
+ */
+
+
+const crypto = require('crypto');
+const axios = require('axios');
+
+const base64url = (buffer) => buffer.toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+
+// OpenID Connect authorization code flow with PKCE. The ID token from the code exchange must carry
+// the nonce of this login; profile claims are read from the IdP's userinfo endpoint over the back channel.
+class OIDCAuthProvider {
+    constructor(options = {}) {
+        this.name = 'oidc';
+        this.issuerUrl = (options.issuerUrl || '').replace(/\/$/, '');
+        this.clientId = options.clientId;
+        this.clientSecret = options.clientSecret;
+        this.redirectUri = options.redirectUri;
+        this.scopes = options.scopes || 'openid profile email';
+        this.metadata = null;
+
+        if (!this.issuerUrl || !this.clientId || !this.redirectUri) {
+            throw new Error('OIDC_ISSUER_URL, OIDC_CLIENT_ID and OIDC_REDIRECT_URI are required for the oidc auth provider');
+        }
+    }
+
+    async discover() {
+        if (!this.metadata) {
+            const response = await axios.get(`${this.issuerUrl}/.well-known/openid-configuration`, { timeout: 10000 });
+            this.metadata = response.data;
+        }
+        return this.metadata;
+    }
+
+    // Build the IdP redirect and remember state, nonce and PKCE verifier in the session
+    async getAuthorizationUrl(session) {
+        const metadata = await this.discover();
+        const state = base64url(crypto.randomBytes(24));
+        const nonce = base64url(crypto.randomBytes(24));
+        const codeVerifier = base64url(crypto.randomBytes(32));
+        const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+        session.oidc = { state, nonce, codeVerifier };
+
+        const params = new URLSearchParams({
+            response_type: 'code',
+            client_id: this.clientId,
+            redirect_uri: this.redirectUri,
+            scope: this.scopes,
+            state,
+            nonce,
+            code_challenge: codeChallenge,
+            code_challenge_method: 'S256'
+        });
+
+        return `${metadata.authorization_endpoint}?${params.toString()}`;
+    }
+
+    async handleCallback(query, session) {
+        const pending = session.oidc;
+        delete session.oidc;
+
+        if (query.error) {
+            throw new Error(`Identity provider returned an error: ${query.error_description || query.error}`);
+        }
+        if (!pending || !query.state || query.state !== pending.state) {
+            throw new Error('Invalid or expired login state');
+        }
+        if (!query.code) {
+            throw new Error('Missing authorization code');
+        }
+
+        const metadata = await this.discover();
+        const tokenResponse = await axios.post(metadata.token_endpoint, new URLSearchParams({
+            grant_type: 'authorization_code',
+            code: query.code,
+            redirect_uri: this.redirectUri,
+            client_id: this.clientId,
+            ...(this.clientSecret ? { client_secret: this.clientSecret } : {}),
+            code_verifier: pending.codeVerifier
+        }).toString(), {
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            timeout: 10000
+        });
+
+        const idToken = this.readIdToken(tokenResponse.data.id_token, metadata, pending.nonce);
+
+        const userinfoResponse = await axios.get(metadata.userinfo_endpoint, {
+            headers: { Authorization: `Bearer ${tokenResponse.data.access_token}` },
+            timeout: 10000
+        });
+        const claims = userinfoResponse.data;
+        if (claims.sub !== idToken.sub) {
+            throw new Error('Userinfo does not belong to the signed-in user');
+        }
+
+        // Grants are looked up by subject or verified email (see auth/permissions.js), never by username
+        return {
+            username: claims.preferred_username || claims.email || claims.sub,
+            displayName: claims.name || claims.preferred_username || claims.email || claims.sub,
+            email: claims.email || null,
+            subject: idToken.sub,
+            verifiedEmail: claims.email_verified === true ? claims.email || null : null,
+            provider: this.name
+        };
+    }
+
+    // The ID token comes straight from the token endpoint over TLS, so its claims are checked
+    // without verifying the signature (OpenID Connect Core 3.1.3.7)
+    readIdToken(token, metadata, nonce) {
+        let claims;
+        try {
+            claims = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8'));
+        } catch (error) {
+            throw new Error('Identity provider returned no readable ID token');
+        }
+
+        if (claims.iss !== (metadata.issuer || this.issuerUrl)) {
+            throw new Error('ID token was issued by another provider');
+        }
+        if (![].concat(claims.aud).includes(this.clientId)) {
+            throw new Error('ID token was issued for another client');
+        }
+        if (!nonce || claims.nonce !== nonce) {
+            throw new Error('ID token does not match this login');
+        }
+        if (typeof claims.exp === 'number' && claims.exp * 1000 < Date.now()) {
+            throw new Error('ID token has expired');
+        }
+        if (!claims.sub) {
+            throw new Error('ID token has no subject');
+        }
+        return claims;
+    }
+}
+
+module.exports = OIDCAuthProvider;
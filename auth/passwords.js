@@ -0,0 +1,63 @@
+/**
+ * @module meraki_ap_rma
+ * @author Eric Schriver <eschrive@cisco.com>
+ * @copyright Copyright (c) 2025 Cisco and/or its affiliates.
+ * @license Cisco Sample Code License, Version 1.1
+ */
+
+/**
+ * @license
+ * Copyright (c) 2025 Cisco and/or its affiliates.
+ *
+ * This software is licensed to you under the terms of the Cisco Sample
+ * Code License, Version 1.1 (the "License"). You may obtain a copy of the
+ * License at
+ *
+ *                https://developer.cisco.com/docs/licenses
+ *
+ * All use of the material herein must be in accordance with the terms of
+ * the License. All rights not expressly granted by the License are
+ * reserved. Unless required by applicable law or agreed to separately in
+ * writing, software distributed under the License is distributed on an "AS
+ * IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied.
+ */
+
+
+const crypto = require('crypto');
+
+const KEY_LENGTH = 64;
+
+const scrypt = (password, salt) => new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, KEY_LENGTH, (error, derivedKey) => {
+        if (error) {
+            reject(error);
+        } else {
+            resolve(derivedKey);
+        }
+    });
+});
+
+// Hash a password as "scrypt:<salt hex>:<hash hex>"
+const hashPassword = async (password) => {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt);
+    return `scrypt:${salt.toString('hex')}:${hash.toString('hex')}`;
+};
+
+// Check a password against a stored hash in constant time
+const verifyPassword = async (password, storedHash) => {
+    const [scheme, saltHex, hashHex] = String(storedHash || '').split(':');
+    if (scheme !== 'scrypt' || !saltHex || !hashHex) {
+        return false;
+    }
+
+    const expected = Buffer.from(hashHex, 'hex');
+    const actual = await scrypt(password, Buffer.from(saltHex, 'hex'));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+module.exports = {
+    hashPassword,
+    verifyPassword
+};
@@ -0,0 +1,143 @@
+/**
+ * @module meraki_ap_rma
+ * @author Eric Schriver <eschrive@cisco.com>
+ * @copyright Copyright (c) 2025 Cisco and/or its affiliates.
+ * @license Cisco Sample Code License, Version 1.1
+ */
+
+/**
+ * @license
+ * Copyright (c) 2025 Cisco and/or its affiliates.
+ *
+ * This software is licensed to you under the terms of the Cisco Sample
+ * Code License, Version 1.1 (the "License"). You may obtain a copy of the
+ * License at
+ *
+ *                https://developer.cisco.com/docs/licenses
+ *
+ * All use of the material herein must be in accordance with the terms of
+ * the License. All rights not expressly granted by the License are
+ * reserved. Unless required by applicable law or agreed to separately in
+ * writing, software distributed under the License is distributed on an "AS
+ * IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied.
+ */
+
+
+const fs = require('fs');
+const path = require('path');
+
+// Roles in increasing order; each role includes everything the ones before it can do
+const ROLES = ['viewer', 'validator', 'replacer'];
+const ALL_ORGANIZATIONS = '*';
+
+const roleRank = (role) => ROLES.indexOf(role);
+
+// What one signed-in user may do. A grant gives a role on a whole organization
+// ({ role, organizationId }) or on a single network ({ role, networkId }).
+class AccessScope {
+    constructor(grants = []) {
+        this.grants = grants;
+    }
+
+    // Does the user hold at least `role` on this organization, or on this network within it?
+    can(role, organizationId, networkId = null) {
+        const required = roleRank(role);
+
+        return this.grants.some(grant => {
+            if (roleRank(grant.role) < required) {
+                return false;
+            }
+            if (grant.organizationId) {
+                return grant.organizationId === ALL_ORGANIZATIONS || grant.organizationId === String(organizationId);
+            }
+            return !!networkId && grant.networkId === String(networkId);
+        });
+    }
+
+    // Does the user hold at least `role` anywhere? Used to reject requests before any API call.
+    hasRole(role) {
+        return this.grants.some(grant => roleRank(grant.role) >= roleRank(role));
+    }
+
+    // True when the user can see the whole organization rather than only some of its networks
+    canViewOrganization(organizationId) {
+        return this.can('viewer', organizationId);
+    }
+
+    hasNetworkGrants() {
+        return this.grants.some(grant => grant.networkId);
+    }
+}
+
+// Grants are read from the users file: { "users": [ { "username": "...", "grants": [...] } ], "oidcUsers": [...] }.
+// OIDC users are listed apart, by IdP subject ("subject") or verified email ("email"), so an IdP account
+// can never pick up the grants of a local user with the same name. The file is re-read when it changes.
+class PermissionStore {
+    constructor(options = {}) {
+        this.usersFile = options.usersFile || path.join(__dirname, '../config/users.json');
+        this.loadedAt = null;
+        this.grantsByUser = new Map();
+        this.grantsByOidcIdentity = new Map();
+    }
+
+    load() {
+        let modified;
+        try {
+            modified = fs.statSync(this.usersFile).mtimeMs;
+        } catch (error) {
+            this.grantsByUser = new Map();
+            this.grantsByOidcIdentity = new Map();
+            this.loadedAt = null;
+            return;
+        }
+
+        if (modified === this.loadedAt) {
+            return;
+        }
+
+        try {
+            const { users = [], oidcUsers = [] } = JSON.parse(fs.readFileSync(this.usersFile, 'utf8'));
+            this.grantsByUser = new Map(users.map(user => [user.username, this.normalizeGrants(user)]));
+            this.grantsByOidcIdentity = new Map(oidcUsers.flatMap(user => {
+                const grants = this.normalizeGrants(user);
+                return [
+                    ...(user.subject ? [[`sub:${user.subject}`, grants]] : []),
+                    ...(user.email ? [[`email:${user.email.toLowerCase()}`, grants]] : [])
+                ];
+            }));
+            this.loadedAt = modified;
+        } catch (error) {
+            console.error(`❌ Could not read grants from ${this.usersFile}:`, error.message);
+        }
+    }
+
+    normalizeGrants(user) {
+        return (user.grants || []).filter(grant => {
+            const valid = ROLES.includes(grant.role) && (!!grant.organizationId !== !!grant.networkId);
+            if (!valid) {
+                console.warn(`⚠️  Ignoring invalid grant for ${user.username || user.subject || user.email}:`, JSON.stringify(grant));
+            }
+            return valid;
+        }).map(grant => ({
+            role: grant.role,
+            ...(grant.organizationId ? { organizationId: String(grant.organizationId) } : { networkId: String(grant.networkId) })
+        }));
+    }
+
+    forUser(user) {
+        this.load();
+        if (user?.provider === 'oidc') {
+            const grants = this.grantsByOidcIdentity.get(`sub:${user.subject}`)
+                || (user.verifiedEmail ? this.grantsByOidcIdentity.get(`email:${user.verifiedEmail.toLowerCase()}`) : null);
+            return new AccessScope(grants || []);
+        }
+        return new AccessScope(user ? this.grantsByUser.get(user.username) || [] : []);
+    }
+}
+
+module.exports = {
+    ROLES,
+    AccessScope,
+    PermissionStore
+};
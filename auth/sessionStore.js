@@ -0,0 +1,120 @@
+/**
+ * @module meraki_ap_rma
+ * @author Eric Schriver <eschrive@cisco.com>
+ * @copyright Copyright (c) 2025 Cisco and/or its affiliates.
+ * @license Cisco Sample Code License, Version 1.1
+ */
+
+/**
+ * @license
+ * Copyright (c) 2025 Cisco and/or its affiliates.
+ *
+ * This software is licensed to you under the terms of the Cisco Sample
+ * Code License, Version 1.1 (the "License"). You may obtain a copy of the
+ * License at
+ *
+ *                https://developer.cisco.com/docs/licenses
+ *
+ * All use of the material herein must be in accordance with the terms of
+ * the License. All rights not expressly granted by the License are
+ * reserved. Unless required by applicable law or agreed to separately in
+ * writing, software distributed under the License is distributed on an "AS
+ * IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied.
+ */
+
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Store } = require('express-session');
+const { writeJsonAtomic } = require('../utils/storage');
+
+const PRUNE_INTERVAL = 60 * 60 * 1000;
+
+// express-session store keeping one JSON file per session, so sign-ins survive a restart and can be
+// shared by processes using the same directory. Files are named by a hash of the session ID, so listing
+// the directory does not reveal usable IDs. Expired sessions are removed when read and hourly.
+class FileSessionStore extends Store {
+    constructor(options = {}) {
+        super();
+        this.dir = options.dir || path.join(__dirname, '../data/sessions');
+        this.defaultTtlMs = options.defaultTtlMs || 24 * 60 * 60 * 1000;
+        setInterval(() => this.prune(), PRUNE_INTERVAL).unref();
+    }
+
+    fileFor(sid) {
+        return path.join(this.dir, `${crypto.createHash('sha256').update(String(sid)).digest('hex')}.json`);
+    }
+
+    // The stored { expiresAt, session }, or null when there is none or it cannot be parsed
+    async read(file) {
+        try {
+            return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            if (error instanceof SyntaxError) {
+                console.warn(`⚠️  Ignoring unreadable session file ${path.basename(file)}`);
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async remove(file) {
+        try {
+            await fs.promises.unlink(file);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+    }
+
+    get(sid, callback) {
+        const file = this.fileFor(sid);
+        this.read(file).then(async (record) => {
+            if (record && record.expiresAt <= Date.now()) {
+                await this.remove(file);
+                return null;
+            }
+            return record ? record.session : null;
+        }).then(result => callback(null, result), callback);
+    }
+
+    set(sid, session, callback = () => {}) {
+        const file = this.fileFor(sid);
+        const expires = session.cookie?.expires ? new Date(session.cookie.expires).getTime() : Date.now() + this.defaultTtlMs;
+        writeJsonAtomic(file, { expiresAt: expires, session }).then(() => callback(null), callback);
+    }
+
+    destroy(sid, callback = () => {}) {
+        this.remove(this.fileFor(sid)).then(() => callback(null), callback);
+    }
+
+    // Delete the files of expired sessions
+    async prune() {
+        let names;
+        try {
+            names = await fs.promises.readdir(this.dir);
+        } catch (error) {
+            return;
+        }
+
+        for (const name of names.filter(candidate => candidate.endsWith('.json'))) {
+            const file = path.join(this.dir, name);
+            try {
+                const record = await this.read(file);
+                if (record && record.expiresAt <= Date.now()) {
+                    await this.remove(file);
+                }
+            } catch (error) {
+                console.warn(`⚠️  Could not check session file ${name}:`, error.message);
+            }
+        }
+    }
+}
+
+module.exports = FileSessionStore;
@@ -0,0 +1,224 @@
+/**
+ * @module meraki_ap_rma
+ * @author Eric Schriver <eschrive@cisco.com>
+ * @copyright Copyright (c) 2025 Cisco and/or its affiliates.
+ * @license Cisco Sample Code License, Version 1.1
+ */
+
+/**
+ * @license
+ * Copyright (c) 2025 Cisco and/or its affiliates.
+ *
+ * This software is licensed to you under the terms of the Cisco Sample
+ * Code License, Version 1.1 (the "License"). You may obtain a copy of the
+ * License at
+ *
+ *                https://developer.cisco.com/docs/licenses
+ *
+ * All use of the material herein must be in accordance with the terms of
+ * the License. All rights not expressly granted by the License are
+ * reserved. Unless required by applicable law or agreed to separately in
+ * writing, software distributed under the License is distributed on an "AS
+ * IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied.
+ */
+
+
+// Hardware compatibility matrix used during validation.
+// Each family lists the models it covers (matched against the start of the model name),
+// its product type and, for access points, the radio bands it can be configured for.
+
+const MODEL_FAMILIES = [
+    {
+        family: 'mr-wifi7',
+        label: 'Wi-Fi 7 access points',
+        productType: 'wireless',
+        models: /^CW917\d/,
+        bands: ['2.4', '5', '6']
+    },
+    {
+        family: 'mr-wifi6e',
+        label: 'Wi-Fi 6E access points',
+        productType: 'wireless',
+        models: /^(MR57|CW916\d)/,
+        bands: ['2.4', '5', '6']
+    },
+    {
+        family: 'mr-wifi6',
+        label: 'Wi-Fi 6 access points',
+        productType: 'wireless',
+        models: /^MR(28|36|44|46|56|76|78|86)/,
+        bands: ['2.4', '5']
+    },
+    {
+        family: 'mr-wifi5',
+        label: 'Wi-Fi 5 access points',
+        productType: 'wireless',
+        models: /^MR(20|30|33|42|52|53|70|74|84)/,
+        bands: ['2.4', '5']
+    },
+    {
+        family: 'ms-access',
+        label: 'MS access switches',
+        productType: 'switch',
+        models: /^MS[12]\d\d/
+    },
+    {
+        family: 'ms-aggregation',
+        label: 'MS aggregation and core switches',
+        productType: 'switch',
+        models: /^MS[34]\d\d/
+    },
+    {
+        family: 'catalyst-ms',
+        label: 'Meraki-managed Catalyst switches',
+        productType: 'switch',
+        models: /^C9[23]\d\d/
+    },
+    {
+        family: 'mx-teleworker',
+        label: 'Z-series teleworker gateways',
+        productType: 'appliance',
+        models: /^Z\d/
+    },
+    {
+        family: 'mx',
+        label: 'MX security appliances',
+        productType: 'appliance',
+        models: /^MX\d/
+    },
+    {
+        family: 'mv',
+        label: 'MV cameras',
+        productType: 'camera',
+        models: /^MV\d/
+    },
+    {
+        family: 'mt',
+        label: 'MT sensors',
+        productType: 'sensor',
+        models: /^MT\d/
+    },
+    {
+        family: 'mg',
+        label: 'MG cellular gateways',
+        productType: 'cellularGateway',
+        models: /^MG\d/
+    }
+];
+
+// Product type by model prefix, for models outside every family
+const PRODUCT_TYPE_PREFIXES = [
+    [/^(MR|CW)/, 'wireless'],
+    [/^(MS|C9)/, 'switch'],
+    [/^(MX|Z)/, 'appliance'],
+    [/^MV/, 'camera'],
+    [/^MT/, 'sensor'],
+    [/^MG/, 'cellularGateway']
+];
+
+// Settings the portal transfers for each product type, named as the operator sees them
+const TRANSFERRED_SETTINGS = {
+    wireless: ['Wireless radio settings', 'Management interface settings', 'Bluetooth (BLE) beacon settings', 'Electronic shelf label settings'],
+    switch: ['Switch port settings', 'Layer 3 interfaces and DHCP settings', 'Static routes', 'Switch stack membership'],
+    appliance: ['Management interface settings', 'Appliance uplink settings'],
+    camera: ['Camera quality and retention settings', 'Camera video settings', 'Camera sense settings'],
+    sensor: ['Sensor relationships']
+};
+
+// Family, product type and hardware details of one model
+const describeModel = (model, productType = null) => {
+    const name = String(model || '').toUpperCase();
+    const family = MODEL_FAMILIES.find(candidate => candidate.models.test(name)) || null;
+    const prefixMatch = PRODUCT_TYPE_PREFIXES.find(([pattern]) => pattern.test(name));
+
+    const description = {
+        model: name || null,
+        productType: productType || family?.productType || (prefixMatch ? prefixMatch[1] : null),
+        family: family?.family || null,
+        familyLabel: family?.label || null,
+        bands: family?.bands || null,
+        portCount: null,
+        poe: null
+    };
+
+    // Switch models carry the port count and PoE in the name: MS120-8LP, MS250-48FP, C9300-24P
+    const switchPorts = name.match(/^(?:MS\d+[A-Z]?|C9\d{3}[A-Z]*)-(\d+)([A-Z]*)/);
+    if (description.productType === 'switch' && switchPorts) {
+        description.portCount = parseInt(switchPorts[1], 10);
+        description.poe = /P/.test(switchPorts[2]);
+    }
+
+    return description;
+};
+
+// Compare a failed device with its replacement.
+// errors block the replacement, warnings need the operator's attention,
+// nonTransferable lists settings that cannot carry over to the replacement model.
+const checkCompatibility = (failedDevice, replacementDevice) => {
+    const failed = describeModel(failedDevice.model, failedDevice.productType);
+    const replacement = describeModel(replacementDevice.model, replacementDevice.productType);
+    const errors = [];
+    const warnings = [];
+    const nonTransferable = [];
+
+    if (failed.productType && replacement.productType && failed.productType !== replacement.productType) {
+        errors.push(`Product type mismatch: ${failed.model} is a ${failed.productType} device but ${replacement.model} is a ${replacement.productType} device`);
+        nonTransferable.push(...(TRANSFERRED_SETTINGS[failed.productType] || []));
+        return { compatible: false, errors, warnings, nonTransferable, failed, replacement };
+    }
+
+    for (const description of [failed, replacement]) {
+        if (description.model && !description.family) {
+            warnings.push(`${description.model} is not in the compatibility matrix; review the transferred settings manually`);
+        }
+    }
+
+    if (failed.model !== replacement.model && failed.family && replacement.family) {
+        if (failed.family === replacement.family) {
+            warnings.push(`Different model in the same family (${failed.familyLabel}): ${failed.model} → ${replacement.model}`);
+        } else {
+            warnings.push(`Different model family: ${failed.model} (${failed.familyLabel}) → ${replacement.model} (${replacement.familyLabel})`);
+        }
+    }
+
+    if (failed.bands && replacement.bands) {
+        const missingBands = failed.bands.filter(band => !replacement.bands.includes(band));
+        for (const band of missingBands) {
+            nonTransferable.push(`${band} GHz radio settings (${replacement.model} has no ${band} GHz radio)`);
+        }
+        const extraBands = replacement.bands.filter(band => !failed.bands.includes(band));
+        if (extraBands.length > 0) {
+            warnings.push(`${replacement.model} has ${extraBands.map(band => `${band} GHz`).join(', ')} radio(s) the failed device did not; they keep their defaults`);
+        }
+    }
+
+    if (failed.portCount && replacement.portCount) {
+        if (replacement.portCount < failed.portCount) {
+            nonTransferable.push(`Switch ports ${replacement.portCount + 1}-${failed.portCount} (${replacement.model} has ${replacement.portCount} ports)`);
+        } else if (replacement.portCount > failed.portCount) {
+            warnings.push(`${replacement.model} has ${replacement.portCount - failed.portCount} more ports than ${failed.model}; they keep their defaults`);
+        }
+        if (replacement.portCount !== failed.portCount) {
+            warnings.push(`Uplink ports move to the ports after ${replacement.portCount} on ${replacement.model}; preview the replacement for the full port mapping`);
+        }
+        if (failed.poe && !replacement.poe) {
+            nonTransferable.push(`PoE settings on switch ports (${replacement.model} has no PoE)`);
+        }
+    }
+
+    return {
+        compatible: errors.length === 0,
+        errors,
+        warnings,
+        nonTransferable,
+        failed,
+        replacement
+    };
+};
+
+module.exports = {
+    MODEL_FAMILIES,
+    describeModel,
+    checkCompatibility
+};
@@ -0,0 +1,183 @@
+/**
+ * @module meraki_ap_rma
+ * @author Eric Schriver <eschrive@cisco.com>
+ * @copyright Copyright (c) 2025 Cisco and/or its affiliates.
+ * @license Cisco Sample Code License, Version 1.1
+ */
+
+/**
+ * @license
+ * Copyright (c) 2025 Cisco and/or its affiliates.
+ *
+ * This software is licensed to you under the terms of the Cisco Sample
+ * Code License, Version 1.1 (the "License"). You may obtain a copy of the
+ * License at
+ *
+ *                https://developer.cisco.com/docs/licenses
+ *
+ * All use of the material herein must be in accordance with the terms of
+ * the License. All rights not expressly granted by the License are
+ * reserved. Unless required by applicable law or agreed to separately in
+ * writing, software distributed under the License is distributed on an "AS
+ * IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied.
+ */
+
+
+// Device-type handlers for the per-device settings a replacement carries over beyond the device record,
+// radio settings and switch ports. Each handler is applied as its own operation step; a section can be
+// shared by several handlers (the management interface) and is then listed once in DEVICE_SETTINGS.
+// Each section is read from the failed device with GET and written to the replacement with PUT on the same path;
+// models (optional) narrows the devices a section applies to and fields lists what the PUT accepts.
+
+const { describeModel } = require('./compatibility');
+
+// Static IP, VLAN and DNS of the device's own uplink (wan1, and wan2 on appliances)
+const MANAGEMENT_INTERFACE = {
+    key: 'managementInterface',
+    label: 'Management interface settings',
+    path: serial => `/devices/${serial}/managementInterface`,
+    fields: ['wan1', 'wan2']
+};
+
+const DEVICE_HANDLERS = [
+    {
+        name: 'wireless',
+        productTypes: ['wireless'],
+        step: 'Applying wireless settings',
+        sections: [
+            MANAGEMENT_INTERFACE,
+            {
+                key: 'wirelessBluetooth',
+                label: 'Bluetooth (BLE) beacon settings',
+                path: serial => `/devices/${serial}/wireless/bluetooth/settings`,
+                fields: ['uuid', 'major', 'minor']
+            },
+            {
+                key: 'wirelessElectronicShelfLabel',
+                label: 'Electronic shelf label settings',
+                models: /^(MR(36|44|46|56|57|76|78|86)|CW91\d\d)/,
+                path: serial => `/devices/${serial}/wireless/electronicShelfLabel`,
+                fields: ['enabled', 'channel']
+            }
+        ]
+    },
+    {
+        name: 'appliance',
+        productTypes: ['appliance'],
+        step: 'Applying appliance settings',
+        sections: [
+            MANAGEMENT_INTERFACE,
+            {
+                key: 'applianceUplinks',
+                label: 'Appliance uplink settings',
+                path: serial => `/devices/${serial}/appliance/uplinks/settings`,
+                fields: ['interfaces']
+            },
+            {
+                key: 'applianceRadio',
+                label: 'Appliance wireless radio settings',
+                models: /^(MX\d+C?W|Z\d+C?)/,
+                path: serial => `/devices/${serial}/appliance/radio/settings`,
+                fields: ['rfProfileId', 'twoFourGhzSettings', 'fiveGhzSettings']
+            },
+            {
+                key: 'cellularSims',
+                label: 'Cellular SIM and APN settings',
+                models: /^(MX\d+C|Z\dC)/,
+                path: serial => `/devices/${serial}/cellular/sims`,
+                fields: ['sims', 'simSecondary', 'simFailover']
+            }
+        ]
+    },
+    {
+        name: 'camera',
+        productTypes: ['camera'],
+        step: 'Applying camera settings',
+        sections: [
+            {
+                key: 'cameraQualityAndRetention',
+                label: 'Camera quality and retention settings',
+                path: serial => `/devices/${serial}/camera/qualityAndRetention`,
+                fields: [
+                    'profileId', 'motionBasedRetentionEnabled', 'audioRecordingEnabled',
+                    'restrictedBandwidthModeEnabled', 'quality', 'resolution', 'motionDetectorVersion'
+                ]
+            },
+            {
+                key: 'cameraVideo',
+                label: 'Camera video settings',
+                path: serial => `/devices/${serial}/camera/video/settings`,
+                fields: ['externalRtspEnabled']
+            },
+            {
+                key: 'cameraSense',
+                label: 'Camera sense settings',
+                path: serial => `/devices/${serial}/camera/sense`,
+                fields: ['senseEnabled', 'mqttBrokerId', 'audioDetection', 'detectionModelId']
+            }
+        ]
+    },
+    {
+        name: 'sensor',
+        productTypes: ['sensor'],
+        step: 'Applying sensor settings',
+        sections: [
+            {
+                key: 'sensorRelationships',
+                label: 'Sensor relationships', // Cameras whose livestream the sensor is assigned to
+                path: serial => `/devices/${serial}/sensor/relationships`,
+                fields: ['livestream']
+            }
+        ]
+    }
+];
+
+const DEVICE_SETTINGS = [...new Set(DEVICE_HANDLERS.flatMap(handler => handler.sections))];
+
+// The handlers for a device record ({ model, productType })
+const handlersFor = (device) => {
+    const { productType } = describeModel(device?.model, device?.productType);
+    return DEVICE_HANDLERS.filter(handler => handler.productTypes.includes(productType));
+};
+
+// The handlers for captured settings: the device's own, or when the record does not say what it is
+// (bundle and snapshot exports keep only the transferable fields) every handler with a captured section
+const handlersForSettings = (device, settings) => {
+    const handlers = handlersFor(device);
+    if (handlers.length > 0) {
+        return handlers;
+    }
+    return DEVICE_HANDLERS.filter(handler => handler.sections.some(section => settings?.[section.key]));
+};
+
+// The sections that apply to a device record
+const settingsFor = (device) => {
+    const { model } = describeModel(device?.model, device?.productType);
+    return handlersFor(device)
+        .flatMap(handler => handler.sections)
+        .filter(section => !section.models || section.models.test(model || ''));
+};
+
+// Only the fields the section's PUT accepts
+const writableSettings = (section, value) => {
+    const payload = {};
+    for (const field of section.fields) {
+        if (value?.[field] !== undefined) {
+            payload[field] = value[field];
+        }
+    }
+    return payload;
+};
+
+const findSection = key => DEVICE_SETTINGS.find(section => section.key === key) || null;
+
+module.exports = {
+    DEVICE_HANDLERS,
+    DEVICE_SETTINGS,
+    handlersFor,
+    handlersForSettings,
+    settingsFor,
+    writableSettings,
+    findSection
+};
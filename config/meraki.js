@@ -25,6 +25,35 @@
 
 
 const axios = require('axios');
+const crypto = require('crypto');
+const { RateLimiter, attachRequestLayer } = require('../utils/requestLayer');
+const { getAllPages } = require('../utils/pagination');
+const TTLCache = require('../utils/cache');
+const { getAuditStore } = require('../audit');
+const SnapshotStore = require('../utils/snapshots');
+const ProfileStore = require('../utils/profiles');
+const { checkCompatibility, describeModel } = require('./compatibility');
+const { compareCall, summarizeChecks } = require('../utils/verification');
+const { handlersForSettings, settingsFor, writableSettings, findSection } = require('./deviceSettings');
+const { TRANSFER_CATEGORIES, CATEGORY_KEYS, selectTransfer } = require('./transferCategories');
+const { DEFAULT_TEMPLATES, renderTemplate, renderTags, mergeTemplates, TemplateStore } = require('../utils/templates');
+const { RMA_FIELDS, RMA_STATUS_KEYS, buildRmaRecord, rmaStatusLabel } = require('./rma');
+const {
+    ROUTING_INTERFACE_FIELDS,
+    ROUTING_DHCP_FIELDS,
+    STATIC_ROUTE_FIELDS,
+    pickFields,
+    mapSwitchPorts
+} = require('./switching');
+
+// Device record fields a replacement, restore or bundle import carries over
+const TRANSFERABLE_DEVICE_FIELDS = ['name', 'tags', 'address', 'lat', 'lng', 'floorPlanId', 'notes'];
+
+// A duration setting given in seconds, in milliseconds
+const secondsFromEnv = (name, fallback) => {
+    const value = parseInt(process.env[name], 10);
+    return (Number.isNaN(value) ? fallback : value) * 1000;
+};
 
 class MerakiAPI {
     constructor() {
@@ -39,6 +68,19 @@ class MerakiAPI {
         // Parse the organization mappings
         this.organizations = new Map();
         this.clients = new Map();
+        this.rateLimiters = new Map(); // keyed by API key, since Meraki rate limits are per key
+        this.requestStats = new Map();
+        this.cache = new TTLCache();
+        this.auditStore = getAuditStore();
+        this.lastAuditError = null;
+        this.snapshots = new SnapshotStore({ dir: process.env.SNAPSHOT_DIR });
+        this.profiles = new ProfileStore({ file: process.env.PROFILES_FILE });
+        this.templates = new TemplateStore({ file: process.env.REPLACEMENT_TEMPLATES_FILE });
+        // Organizations whose failed devices are released from inventory after removal by default ("*" for all)
+        this.inventoryReleaseOrganizations = new Set((process.env.INVENTORY_RELEASE_ORGS || '')
+            .split(',')
+            .map(orgId => orgId.trim())
+            .filter(Boolean));
         
         try {
             const mappings = orgMappings.split(',');
@@ -70,8 +112,28 @@ class MerakiAPI {
         this.setupInterceptors();
     }
 
+    // Retry and rate cap settings for the shared request layer
+    getRequestLayerOptions() {
+        return {
+            ratePerSecond: parseFloat(process.env.MERAKI_RATE_LIMIT) || 8,
+            maxRetries: process.env.MERAKI_MAX_RETRIES !== undefined ? parseInt(process.env.MERAKI_MAX_RETRIES, 10) : 4,
+            baseDelayMs: parseInt(process.env.MERAKI_RETRY_BASE_MS, 10) || 500,
+            maxDelayMs: parseInt(process.env.MERAKI_RETRY_MAX_MS, 10) || 30000
+        };
+    }
+
     setupInterceptors() {
+        const { ratePerSecond, maxRetries, baseDelayMs, maxDelayMs } = this.getRequestLayerOptions();
+
         for (const [orgId, client] of this.clients) {
+            const apiKey = this.organizations.get(orgId);
+            if (!this.rateLimiters.has(apiKey)) {
+                this.rateLimiters.set(apiKey, new RateLimiter(ratePerSecond));
+            }
+
+            const stats = { requests: 0, retries: 0, rateLimited: 0, exhausted: 0 };
+            this.requestStats.set(orgId, stats);
+
             client.interceptors.request.use(
                 config => {
                     console.log(`📡 API Request [${orgId}]: ${config.method.toUpperCase()} ${config.url}`);
@@ -90,7 +152,95 @@ class MerakiAPI {
                     return Promise.reject(error);
                 }
             );
+
+            // Rate cap per API key, Retry-After handling and backoff retries
+            attachRequestLayer(client, {
+                orgId,
+                limiter: this.rateLimiters.get(apiKey),
+                stats,
+                maxRetries,
+                baseDelayMs,
+                maxDelayMs
+            });
+        }
+    }
+
+    // Fetch every page of a Meraki list endpoint with the configured page size and total cap
+    async getAllPages(client, url, params = {}) {
+        return getAllPages(client, url, params, {
+            perPage: parseInt(process.env.MERAKI_PAGE_SIZE, 10) || 1000,
+            maxItems: parseInt(process.env.MERAKI_MAX_ITEMS, 10) || 100000
+        });
+    }
+
+    // Cache lifetimes per resource; 0 disables caching for that resource
+    getCacheTTLs() {
+        return {
+            organization: secondsFromEnv('CACHE_TTL_ORGANIZATION', 600),
+            networks: secondsFromEnv('CACHE_TTL_NETWORKS', 300),
+            inventory: secondsFromEnv('CACHE_TTL_INVENTORY', 60)
+        };
+    }
+
+    // Organization record (cached)
+    async getOrganization(organizationId) {
+        return this.cache.wrap(`organization:${organizationId}`, this.getCacheTTLs().organization, async () => {
+            const response = await this.getClient(organizationId).get(`/organizations/${organizationId}`);
+            return response.data;
+        });
+    }
+
+    // All networks in an organization (cached)
+    async getOrganizationNetworks(organizationId) {
+        return this.cache.wrap(`networks:${organizationId}`, this.getCacheTTLs().networks, () => {
+            return this.getAllPages(this.getClient(organizationId), `/organizations/${organizationId}/networks`);
+        });
+    }
+
+    // A network by ID, from the cached organization network list when possible
+    async getNetwork(organizationId, networkId) {
+        const networks = await this.getOrganizationNetworks(organizationId);
+        const network = networks.find(candidate => candidate.id === networkId);
+        if (network) {
+            return network;
+        }
+
+        const response = await this.getClient(organizationId).get(`/networks/${networkId}`);
+        return response.data;
+    }
+
+    // Inventory record for a serial in an organization, or null (cached)
+    async getInventoryDevice(organizationId, serial) {
+        return this.cache.wrap(`inventory:${organizationId}:${serial}`, this.getCacheTTLs().inventory, async () => {
+            const inventory = await this.getAllPages(this.getClient(organizationId), `/organizations/${organizationId}/inventoryDevices`, {
+                'serials[]': serial
+            });
+            return inventory.find(device => device.serial === serial) || null;
+        });
+    }
+
+    // Forget cached data for one organization, or everything
+    invalidateCache(organizationId = null) {
+        if (!organizationId) {
+            return this.cache.invalidate();
         }
+
+        // Keys are "<resource>:<orgId>" or "<resource>:<orgId>:<...>"; the separator keeps 12 from matching 123
+        return ['organization', 'networks', 'inventory'].reduce((removed, resource) => removed +
+            this.cache.delete(`${resource}:${organizationId}`) +
+            this.cache.invalidate(`${resource}:${organizationId}:`), 0);
+    }
+
+    getCacheStats() {
+        return this.cache.stats();
+    }
+
+    // Request and retry counters per organization
+    getRequestStats() {
+        return Array.from(this.requestStats, ([organizationId, stats]) => ({
+            organizationId,
+            ...stats
+        }));
     }
 
     // Get client for specific organization
@@ -102,7 +252,11 @@ class MerakiAPI {
         return client;
     }
 
-    async validateDevices(failedSerial, replacementSerial) {
+    // hint: optional { organizationId, networkId } narrowing where the failed device is searched
+    // Failures carry where they happened (the failed device's organizationId and networkId, or the
+    // searchedOrganizationIds when it was not found) so routes can hide them outside the caller's scope.
+    async validateDevices(failedSerial, replacementSerial, hint = {}) {
+        let scope = {};
         try {
             console.log(`🔍 Validating devices across ${this.organizations.size} organizations: ${failedSerial} -> ${replacementSerial}`);
             
@@ -111,55 +265,55 @@ class MerakiAPI {
             let foundOrganizationId = null;
             let foundOrganization = null;
 
+            if (hint.organizationId && !this.organizations.has(hint.organizationId)) {
+                throw new Error(`Organization ${hint.organizationId} is not configured`);
+            }
+
+            const organizationIds = hint.organizationId
+                ? [hint.organizationId]
+                : Array.from(this.organizations.keys());
+            scope = { searchedOrganizationIds: organizationIds };
+
             // Search across all configured organizations
-            for (const [orgId, apiKey] of this.organizations) {
+            for (const orgId of organizationIds) {
                 try {
                     console.log(`🏢 Searching organization: ${orgId}`);
-                    const client = this.getClient(orgId);
-                    
+
                     // Get organization info
-                    const orgResponse = await client.get(`/organizations/${orgId}`);
-                    const organization = orgResponse.data;
+                    const organization = await this.getOrganization(orgId);
                     console.log(`   Organization name: ${organization.name}`);
 
-                    // Get networks in this organization
-                    const networksResponse = await client.get(`/organizations/${orgId}/networks`);
-                    const networks = networksResponse.data;
-                    console.log(`   Networks found: ${networks.length}`);
-
-                    // Search for failed device in this organization's networks
-                    for (const network of networks) {
-                        try {
-                            console.log(`🔍 Checking network: ${network.name} (${network.id})`);
-                            const deviceResponse = await client.get(`/networks/${network.id}/devices/${failedSerial}`);
-                            
-                            if (deviceResponse.data) {
-                                failedDevice = {
-                                    ...deviceResponse.data,
-                                    networkName: network.name,
-                                    networkId: network.id,
-                                    organizationName: organization.name,
-                                    organizationId: orgId
-                                };
-                                networkId = network.id;
-                                foundOrganizationId = orgId;
-                                foundOrganization = organization;
-                                console.log(`✅ Found failed device in organization: ${organization.name}, network: ${network.name}`);
-                                break;
-                            }
-                        } catch (error) {
-                            // Device not in this network, continue searching
-                            if (error.response?.status === 404) {
-                                console.log(`   Device not found in network: ${network.name}`);
-                                continue;
-                            } else {
-                                console.warn(`   Error checking network ${network.name}:`, error.message);
-                                continue;
-                            }
-                        }
+                    // Look the serial up in the organization-wide device list
+                    const device = await this.findDeviceInOrganization(orgId, failedSerial);
+                    if (!device) {
+                        console.log(`   Device not found in organization: ${organization.name}`);
+                        continue;
+                    }
+
+                    if (!device.networkId) {
+                        console.log(`   Device is in inventory but not assigned to a network in: ${organization.name}`);
+                        continue;
+                    }
+
+                    if (hint.networkId && device.networkId !== hint.networkId) {
+                        console.log(`   Device is in network ${device.networkId}, not the requested ${hint.networkId}`);
+                        continue;
                     }
 
-                    if (failedDevice) break;
+                    const network = await this.getNetwork(orgId, device.networkId);
+
+                    failedDevice = {
+                        ...device,
+                        networkName: network.name,
+                        networkId: network.id,
+                        organizationName: organization.name,
+                        organizationId: orgId
+                    };
+                    networkId = network.id;
+                    foundOrganizationId = orgId;
+                    foundOrganization = organization;
+                    console.log(`✅ Found failed device in organization: ${organization.name}, network: ${network.name}`);
+                    break;
 
                 } catch (error) {
                     console.warn(`⚠️  Could not access organization ${orgId}:`, error.message);
@@ -168,16 +322,17 @@ class MerakiAPI {
             }
 
             if (!failedDevice) {
-                throw new Error(`Failed device ${failedSerial} not found in any of the configured organizations: ${Array.from(this.organizations.keys()).join(', ')}`);
+                if (hint.networkId) {
+                    throw new Error(`Failed device ${failedSerial} not found in network ${hint.networkId}`);
+                }
+                throw new Error(`Failed device ${failedSerial} not found in any of the configured organizations: ${organizationIds.join(', ')}`);
             }
 
+            scope = { organizationId: foundOrganizationId, networkId };
+
             // Validate replacement device in the SAME organization where failed device was found
             console.log(`🔍 Checking inventory for replacement device in organization ${foundOrganizationId}`);
-            const client = this.getClient(foundOrganizationId);
-            const inventoryResponse = await client.get(`/organizations/${foundOrganizationId}/inventoryDevices`);
-            const inventory = inventoryResponse.data;
-            
-            const replacementDevice = inventory.find(device => device.serial === replacementSerial);
+            const replacementDevice = await this.getInventoryDevice(foundOrganizationId, replacementSerial);
 
             if (!replacementDevice) {
                 throw new Error(`Replacement device ${replacementSerial} not found in organization ${foundOrganization.name} inventory. Device must be in the same organization as the failed device.`);
@@ -187,8 +342,9 @@ class MerakiAPI {
 
             // Check if replacement device is already claimed by a different network
             if (replacementDevice.networkId && replacementDevice.networkId !== networkId) {
-                const claimedNetworkResponse = await client.get(`/networks/${replacementDevice.networkId}`);
-                throw new Error(`Replacement device is already claimed by network: ${claimedNetworkResponse.data.name}`);
+                scope.claimedNetworkId = replacementDevice.networkId;
+                const claimedNetwork = await this.getNetwork(foundOrganizationId, replacementDevice.networkId);
+                throw new Error(`Replacement device is already claimed by network: ${claimedNetwork.name}`);
             }
 
             // Get additional device details for display
@@ -198,6 +354,22 @@ class MerakiAPI {
                 organizationName: foundOrganization.name
             };
 
+            // Errors here block the replacement, warnings are shown before it runs
+            const compatibility = checkCompatibility(failedDevice, replacementDevice);
+            if (compatibility.errors.length > 0) {
+                console.log(`⛔ Incompatible replacement: ${compatibility.errors.join('; ')}`);
+            }
+
+            // A device that still reports online is probably not the failed one. When its status
+            // could not be read that cannot be ruled out either, so it needs the same override.
+            const failedDeviceOnline = enhancedFailedDevice.status === 'online';
+            const failedDeviceStatusUnknown = !enhancedFailedDevice.status || enhancedFailedDevice.status === 'unknown';
+            if (failedDeviceOnline) {
+                console.log(`⚠️  Failed device ${failedSerial} is currently online`);
+            } else if (failedDeviceStatusUnknown) {
+                console.log(`⚠️  Status of failed device ${failedSerial} is unknown`);
+            }
+
             return {
                 success: true,
                 devices: {
@@ -206,23 +378,86 @@ class MerakiAPI {
                 },
                 networkId,
                 organizationId: foundOrganizationId,
-                organizationName: foundOrganization.name
+                organizationName: foundOrganization.name,
+                compatibility,
+                failedDeviceOnline,
+                failedDeviceStatusUnknown,
+                releaseFromInventory: this.releasesFromInventoryByDefault(foundOrganizationId)
             };
 
         } catch (error) {
             console.error('❌ Device validation failed:', error.message);
             return {
                 success: false,
-                message: this.formatErrorMessage(error)
+                message: this.formatErrorMessage(error),
+                ...scope
             };
         }
     }
 
+    // Replacing a failed device that is online, or whose status could not be read, needs an override reason
+    needsOnlineOverride(validation) {
+        return !!(validation.failedDeviceOnline || validation.failedDeviceStatusUnknown);
+    }
+
+    // Reasons a validated pair must not be replaced; empty when the replacement may run.
+    // An online failed device, or one of unknown status, only blocks when no override reason is given.
+    getBlockingIssues(validation, overrideReason = null) {
+        const issues = [...(validation.compatibility?.errors || [])];
+        const failed = validation.devices.failed;
+
+        if (validation.failedDeviceOnline && !overrideReason) {
+            const lastReported = failed.lastReportedAt ? `, last reported ${failed.lastReportedAt}` : '';
+            issues.push(`Failed device ${failed.serial} is currently online${lastReported}. Check the serial, or give an override reason to replace it anyway`);
+        } else if (validation.failedDeviceStatusUnknown && !overrideReason) {
+            const cause = failed.statusError ? ` (${failed.statusError})` : '';
+            issues.push(`Status of failed device ${failed.serial} could not be read${cause}. Check that it is offline, or give an override reason to replace it anyway`);
+        }
+
+        return issues;
+    }
+
+    releasesFromInventoryByDefault(organizationId) {
+        return this.inventoryReleaseOrganizations.has('*') || this.inventoryReleaseOrganizations.has(String(organizationId));
+    }
+
+    // Whether a validated replacement releases the failed device from organization inventory: the request's
+    // choice, else the organization's default. Releasing cannot be undone, so it needs its own confirmation;
+    // issue explains what is missing when it was not given.
+    getInventoryRelease(validation, requested = undefined, confirmed = false) {
+        const release = requested ?? this.releasesFromInventoryByDefault(validation.organizationId);
+        const failedSerial = validation.devices.failed.serial;
+        return {
+            release,
+            issue: release && !confirmed
+                ? `Releasing ${failedSerial} from the inventory of ${validation.organizationName || `organization ${validation.organizationId}`} cannot be undone and needs a separate confirmation. Confirm the release, or choose to keep the device in inventory`
+                : null
+        };
+    }
+
+    // Audit record of an override, or null when the failed device was known to be offline
+    getOnlineOverride(validation, overrideReason, operator = null) {
+        if (!this.needsOnlineOverride(validation) || !overrideReason) {
+            return null;
+        }
+
+        const failed = validation.devices.failed;
+        return {
+            reason: overrideReason,
+            operator,
+            deviceStatus: failed.status,
+            lastReportedAt: failed.lastReportedAt || null,
+            lanIp: failed.lanIp || null
+        };
+    }
+
     async getEnhancedDeviceInfo(device, organizationId) {
         try {
             const client = this.getClient(organizationId);
-            const statusResponse = await client.get(`/organizations/${organizationId}/devices/statuses`);
-            const deviceStatus = statusResponse.data.find(status => status.serial === device.serial);
+            const statuses = await this.getAllPages(client, `/organizations/${organizationId}/devices/statuses`, {
+                'serials[]': device.serial
+            });
+            const deviceStatus = statuses.find(status => status.serial === device.serial);
             
             return {
                 ...device,
@@ -233,278 +468,1639 @@ class MerakiAPI {
             };
         } catch (error) {
             console.warn('Could not get enhanced device info:', error.message);
-            return device;
+            return { ...device, status: 'unknown', statusError: error.message };
         }
     }
 
-    async replaceDevice(failedSerial, replacementSerial, networkId, organizationId) {
-        const operations = [];
-        
+    // Read everything replaceDevice transfers from a device in the network
+    async getDeviceConfiguration(client, networkId, serial) {
+        const deviceResponse = await client.get(`/networks/${networkId}/devices/${serial}`);
+        const device = deviceResponse.data;
+
+        // Get radio settings (if wireless device)
+        let radioSettings = null;
         try {
-            console.log(`🔄 Starting replacement process in network ${networkId}, organization ${organizationId}`);
-            const client = this.getClient(organizationId);
-            
-            operations.push({ 
-                step: 1, 
-                message: "Retrieving failed device configuration", 
-                status: "in-progress",
-                timestamp: new Date().toISOString()
-            });
-            
-            // Get failed device details
-            const failedDeviceResponse = await client.get(`/networks/${networkId}/devices/${failedSerial}`);
-            const failedDevice = failedDeviceResponse.data;
-            console.log(`📋 Retrieved configuration for: ${failedDevice.name || failedSerial}`);
+            const radioResponse = await client.get(`/networks/${networkId}/devices/${serial}/wireless/radio/settings`);
+            radioSettings = radioResponse.data;
+        } catch (error) {
+            if (error.response?.status !== 404) {
+                console.warn(`⚠️  Could not retrieve radio settings for ${serial}:`, error.message);
+            }
+        }
 
-            // Get radio settings (if wireless device)
-            let radioSettings = null;
-            try {
-                const radioResponse = await client.get(`/networks/${networkId}/devices/${failedSerial}/wireless/radio/settings`);
-                radioSettings = radioResponse.data;
-                console.log(`📡 Retrieved wireless radio settings`);
-            } catch (error) {
-                if (error.response?.status === 404) {
-                    console.log('ℹ️  Device has no wireless radio settings (not a wireless device)');
-                } else {
-                    console.warn('⚠️  Could not retrieve radio settings:', error.message);
-                }
+        // Get switch port settings (if switch device)
+        let switchPorts = null;
+        try {
+            const switchResponse = await client.get(`/networks/${networkId}/devices/${serial}/switch/ports`);
+            switchPorts = switchResponse.data;
+        } catch (error) {
+            if (error.response?.status !== 404) {
+                console.warn(`⚠️  Could not retrieve switch port settings for ${serial}:`, error.message);
             }
+        }
+
+        // Layer 3 interfaces and static routes (if switch device)
+        const switchRouting = describeModel(device.model, device.productType).productType === 'switch'
+            ? await this.getSwitchRouting(client, serial)
+            : null;
 
-            // Get switch port settings (if switch device)
-            let switchPorts = null;
+        const settings = await this.getDeviceSettings(client, serial, device);
+
+        return { device, radioSettings, switchPorts, switchRouting, settings };
+    }
+
+    // Layer 3 interfaces (each with its DHCP settings) and static routes of a switch; null when it has none.
+    // IDs are kept so existing interfaces and routes on a replacement can be updated rather than duplicated.
+    async getSwitchRouting(client, serial) {
+        const routingPath = `/devices/${serial}/switch/routing`;
+        const read = async (path, label) => {
             try {
-                const switchResponse = await client.get(`/networks/${networkId}/devices/${failedSerial}/switch/ports`);
-                switchPorts = switchResponse.data;
-                console.log(`🔌 Retrieved switch port settings`);
+                const response = await client.get(path);
+                return response.data;
             } catch (error) {
-                if (error.response?.status === 404) {
-                    console.log('ℹ️  Device has no switch port settings (not a switch device)');
-                } else {
-                    console.warn('⚠️  Could not retrieve switch port settings:', error.message);
+                if (![400, 404].includes(error.response?.status)) {
+                    console.warn(`⚠️  Could not retrieve ${label} for ${serial}:`, error.message);
                 }
+                return null;
             }
+        };
 
-            operations[0].status = "completed";
-            operations.push({ 
-                step: 2, 
-                message: "Claiming replacement device to network", 
-                status: "in-progress",
-                timestamp: new Date().toISOString()
+        const interfaces = [];
+        for (const routingInterface of (await read(`${routingPath}/interfaces`, 'layer 3 interfaces')) || []) {
+            const dhcp = await read(`${routingPath}/interfaces/${routingInterface.interfaceId}/dhcp`, `DHCP settings of VLAN ${routingInterface.vlanId}`);
+            interfaces.push({
+                interfaceId: routingInterface.interfaceId,
+                ...pickFields(routingInterface, ROUTING_INTERFACE_FIELDS),
+                dhcp: dhcp ? pickFields(dhcp, ROUTING_DHCP_FIELDS) : null
             });
+        }
+
+        const staticRoutes = ((await read(`${routingPath}/staticRoutes`, 'static routes')) || []).map(route => ({
+            staticRouteId: route.staticRouteId,
+            ...pickFields(route, STATIC_ROUTE_FIELDS)
+        }));
+
+        if (interfaces.length === 0 && staticRoutes.length === 0) {
+            return null;
+        }
+        return { interfaces, staticRoutes };
+    }
+
+    // The switch stack a switch belongs to in its network, or null
+    async getSwitchStack(client, networkId, serial) {
+        try {
+            const response = await client.get(`/networks/${networkId}/switch/stacks`);
+            return (response.data || []).find(stack => (stack.serials || []).includes(serial)) || null;
+        } catch (error) {
+            if (![400, 404].includes(error.response?.status)) {
+                console.warn(`⚠️  Could not retrieve switch stacks for network ${networkId}:`, error.message);
+            }
+            return null;
+        }
+    }
+
+    // Model the replacement will run as: its network record when claimed, otherwise its inventory record
+    async getReplacementModel(organizationId, current, serial) {
+        if (current.device?.model) {
+            return current.device.model;
+        }
+        const inventoryDevice = await this.getInventoryDevice(organizationId, serial);
+        return inventoryDevice?.model || null;
+    }
 
-            // Claim replacement device to the network
+    // Model-specific settings sections (see config/deviceSettings.js), keyed by section
+    async getDeviceSettings(client, serial, device) {
+        const settings = {};
+
+        for (const section of settingsFor(device)) {
             try {
-                await client.post(`/networks/${networkId}/devices/claim`, {
-                    serials: [replacementSerial]
-                });
-                console.log(`✅ Claimed device ${replacementSerial} to network`);
+                const response = await client.get(section.path(serial));
+                settings[section.key] = writableSettings(section, response.data);
             } catch (error) {
-                if (error.response?.data?.errors?.[0]?.includes('already claimed')) {
-                    console.log('ℹ️  Device already claimed in this network');
-                } else {
-                    throw error;
+                if (error.response?.status !== 404) {
+                    console.warn(`⚠️  Could not retrieve ${section.key} settings for ${serial}:`, error.message);
                 }
             }
+        }
 
-            operations[1].status = "completed";
-            operations.push({ 
-                step: 3, 
-                message: "Applying configuration to replacement device", 
-                status: "in-progress",
-                timestamp: new Date().toISOString()
-            });
+        return settings;
+    }
+
+    // Operator-facing names of the settings sections in a configuration
+    describeDeviceSettings(keys) {
+        return keys
+            .map(key => findSection(key))
+            .filter(Boolean)
+            .map(section => section.label);
+    }
 
-            // Apply configuration to replacement device - COPY EXACT HOSTNAME
-            const configData = {};
+    // Keys of the settings sections whose calls went through
+    appliedSettings(callResults) {
+        return callResults
+            .filter(result => result.ref?.startsWith('settings:') && result.status === 'applied')
+            .map(result => result.ref.slice('settings:'.length));
+    }
 
-            // Copy the exact name/hostname if it exists
-            if (failedDevice.name && failedDevice.name.trim() !== '') {
-                configData.name = failedDevice.name;
-                console.log(`📝 Copying hostname: "${failedDevice.name}"`);
-            } else {
-                // Only use serial as fallback if no name exists
-                configData.name = replacementSerial;
-                console.log(`📝 No hostname found, using serial: ${replacementSerial}`);
+    // Current state of the replacement device; an unclaimed device has nothing to read yet
+    async getReplacementState(client, networkId, replacementSerial) {
+        try {
+            const state = await this.getDeviceConfiguration(client, networkId, replacementSerial);
+            return { claimed: true, ...state };
+        } catch (error) {
+            if (error.response?.status === 404) {
+                return { claimed: false, device: null, radioSettings: null, switchPorts: null, switchRouting: null, settings: null };
             }
+            throw error;
+        }
+    }
+
+    // Device-level settings copied from the failed device - COPY EXACT HOSTNAME.
+    // Only the transfer categories given (see config/transferCategories.js) are copied.
+    // naming ({ templates, variables } from getNaming) renders the hostname, notes and extra tags;
+    // without it the hostname is copied as is and the replacement note is appended to the notes.
+    buildDeviceConfig(failedDevice, failedSerial, replacementSerial, categories = CATEGORY_KEYS, naming = null) {
+        const configData = {};
+        const selected = new Set(categories);
+        const templates = naming ? mergeTemplates(naming.templates, DEFAULT_TEMPLATES) : DEFAULT_TEMPLATES;
+        const variables = naming ? naming.variables : this.buildNamingVariables(failedDevice, failedSerial, replacementSerial);
+
+        // Copy the exact name/hostname if it exists, serial is only a fallback
+        if (selected.has('name')) {
+            const hostname = renderTemplate(templates.hostname, variables);
+            configData.name = hostname.trim() !== '' ? hostname : replacementSerial;
+        }
 
-            // Copy other configuration elements
-            if (failedDevice.tags && failedDevice.tags.length > 0) {
-                configData.tags = failedDevice.tags;
-                console.log(`🏷️  Copying tags: ${failedDevice.tags.join(', ')}`);
+        if (selected.has('tags')) {
+            const tags = [...new Set([...(failedDevice.tags || []), ...renderTags(templates.tags, variables)])];
+            if (tags.length > 0) {
+                configData.tags = tags;
             }
+        }
 
+        if (selected.has('location')) {
             if (failedDevice.address && failedDevice.address.trim() !== '') {
                 configData.address = failedDevice.address;
-                console.log(`📍 Copying address: ${failedDevice.address}`);
             }
 
             if (failedDevice.lat && failedDevice.lng) {
                 configData.lat = failedDevice.lat;
                 configData.lng = failedDevice.lng;
-                console.log(`🗺️  Copying coordinates: ${failedDevice.lat}, ${failedDevice.lng}`);
             }
+        }
 
-            if (failedDevice.floorPlanId) {
-                configData.floorPlanId = failedDevice.floorPlanId;
-                console.log(`🏢 Copying floor plan ID: ${failedDevice.floorPlanId}`);
-            }
+        if (selected.has('floorPlan') && failedDevice.floorPlanId) {
+            configData.floorPlanId = failedDevice.floorPlanId;
+        }
 
-            // Add notes to track the replacement (but don't change the hostname)
-            const originalNotes = failedDevice.notes || '';
-            const replacementNote = `[Replaced ${failedSerial} on ${new Date().toISOString()}]`;
-            
-            if (originalNotes.trim() !== '') {
-                configData.notes = `${originalNotes} ${replacementNote}`;
-            } else {
-                configData.notes = replacementNote;
+        // Add notes to track the replacement (but don't change the hostname)
+        if (selected.has('notes')) {
+            const notes = renderTemplate(templates.notes, variables).trim();
+            if (notes !== '') {
+                configData.notes = notes;
             }
+        }
 
-            // Apply the configuration
-            await client.put(`/networks/${networkId}/devices/${replacementSerial}`, configData);
-            console.log(`✅ Applied configuration to replacement device with hostname: "${configData.name}"`);
+        return configData;
+    }
 
-            // Apply radio settings if available
-            if (radioSettings) {
-                try {
-                    await client.put(`/networks/${networkId}/devices/${replacementSerial}/wireless/radio/settings`, radioSettings);
-                    console.log('✅ Applied wireless radio settings');
-                } catch (error) {
-                    console.warn('⚠️  Failed to apply radio settings:', error.message);
-                }
-            }
+    // Template variables for a replacement (see TEMPLATE_VARIABLES in utils/templates.js)
+    buildNamingVariables(failedDevice, failedSerial, replacementSerial, context = {}) {
+        const now = new Date();
+        return {
+            failedSerial,
+            replacementSerial,
+            hostname: failedDevice.name && failedDevice.name.trim() !== '' ? failedDevice.name : replacementSerial,
+            notes: failedDevice.notes || '',
+            date: now.toISOString().slice(0, 10),
+            timestamp: now.toISOString(),
+            operator: context.operator || '',
+            rmaCase: context.rmaCase || '',
+            site: context.site || '',
+            organization: context.organization || ''
+        };
+    }
 
-            // Apply switch port settings if available
-            if (switchPorts && switchPorts.length > 0) {
-                try {
-                    for (const port of switchPorts) {
-                        const portConfig = { ...port };
-                        delete portConfig.portId; // Remove read-only field
-                        
-                        await client.put(`/networks/${networkId}/devices/${replacementSerial}/switch/ports/${port.portId}`, portConfig);
-                    }
-                    console.log('✅ Applied switch port settings');
-                } catch (error) {
-                    console.warn('⚠️  Failed to apply switch port settings:', error.message);
-                }
-            }
+    // Templates and variables for naming a replacement: the transfer's templates (request, then profile)
+    // over the organization's (config/templates.json) over the built-in defaults
+    async getNaming(organizationId, networkId, failedDevice, failedSerial, replacementSerial, options = {}) {
+        const names = {};
+        try {
+            names.site = (await this.getNetwork(organizationId, networkId)).name;
+        } catch (error) {
+            console.warn(`Could not read network ${networkId} for templates:`, error.message);
+        }
+        try {
+            names.organization = (await this.getOrganization(organizationId)).name;
+        } catch (error) {
+            console.warn(`Could not read organization ${organizationId} for templates:`, error.message);
+        }
 
-            operations[2].status = "completed";
-            operations.push({ 
-                step: 4, 
-                message: "Removing failed device from network", 
-                status: "in-progress",
-                timestamp: new Date().toISOString()
-            });
+        return {
+            templates: mergeTemplates(options.transfer?.templates, this.templates.forOrganization(organizationId), DEFAULT_TEMPLATES),
+            variables: this.buildNamingVariables(failedDevice, failedSerial, replacementSerial, {
+                ...names,
+                operator: options.operator,
+                rmaCase: options.rma?.caseNumber
+            })
+        };
+    }
 
-            // Remove failed device from network
-            await client.post(`/networks/${networkId}/devices/${failedSerial}/remove`);
-            console.log(`✅ Removed failed device ${failedSerial} from network`);
+    // Summary lines for the device record fields in configData, other than the hostname
+    describeDeviceFields(configData) {
+        return TRANSFER_CATEGORIES
+            .filter(category => category.fields && category.key !== 'name')
+            .filter(category => category.fields.some(field => configData[field] !== undefined))
+            .map(category => category.label);
+    }
 
-            operations[3].status = "completed";
+    // Audit record of the inventory release step, or null when no release was requested
+    describeInventoryRelease(options, callResults) {
+        if (!options.releaseFromInventory) {
+            return null;
+        }
+        const result = callResults.find(candidate => candidate.ref === 'inventory-release');
+        return {
+            released: result?.status === 'applied',
+            confirmedBy: options.operator || null,
+            ...(result ? {} : { error: 'The replacement stopped before the release' }),
+            ...(result?.error ? { error: result.error } : {})
+        };
+    }
 
-            // Log successful operation with hostname info
-            this.logOperation('SUCCESS', {
-                organizationId,
-                networkId,
-                failedSerial,
-                replacementSerial,
-                hostnameTransferred: configData.name,
-                originalHostname: failedDevice.name || 'None',
-                configurationApplied: {
-                    basic: true,
-                    hostname: true,
-                    wireless: !!radioSettings,
-                    switch: !!switchPorts
-                },
-                timestamp: new Date().toISOString()
-            });
+    // The categories a replacement transfers: an explicit list, else the named profile's, else everything.
+    // Templates given with the request override the profile's field by field.
+    // Returns { profile, categories, templates }; throws when the profile does not exist.
+    async resolveTransfer({ profile = null, categories = null, templates = null } = {}) {
+        let saved = null;
+        if (profile) {
+            saved = await this.profiles.get(profile);
+            if (!saved) {
+                throw new Error(`Transfer profile "${profile}" not found`);
+            }
+        }
 
-            return {
-                success: true,
-                message: `Device replacement completed successfully in organization ${organizationId}`,
-                operations,
-                summary: {
-                    failedDevice: failedSerial,
-                    replacementDevice: replacementSerial,
-                    networkId,
-                    organizationId,
-                    hostnameTransferred: configData.name,
-                    configurationTypes: [
-                        `Hostname: "${configData.name}"`,
-                        'Device location and tags',
-                        ...(radioSettings ? ['Wireless radio settings'] : []),
-                        ...(switchPorts ? ['Switch port settings'] : [])
-                    ]
+        return {
+            profile: saved ? saved.name : null,
+            categories: categories && categories.length > 0 ? [...new Set(categories)] : (saved ? saved.categories : CATEGORY_KEYS),
+            templates: mergeTemplates(templates, saved?.templates)
+        };
+    }
+
+    // Writes that put source settings on a device in the network (device record, radio).
+    // Each call carries the compensating call (undo) that reverts it from the device's current state.
+    buildConfigurationCalls(source, current, configData, serial, networkId) {
+        const devicePath = `/networks/${networkId}/devices/${serial}`;
+
+        // A device we claim is unclaimed on rollback, so its settings only need restoring if it was already in the network
+        let deviceUndo = null;
+        if (current.claimed) {
+            const clearedValues = { name: '', tags: [], address: '', notes: '', floorPlanId: null };
+            const previousConfig = {};
+            for (const key of Object.keys(configData)) {
+                if (current.device?.[key] !== undefined && current.device[key] !== null) {
+                    previousConfig[key] = current.device[key];
+                } else if (key in clearedValues) {
+                    previousConfig[key] = clearedValues[key];
                 }
+            }
+            deviceUndo = {
+                method: 'PUT',
+                path: devicePath,
+                payload: previousConfig,
+                description: 'Restore previous device name, tags, location and notes'
             };
+        }
 
-        } catch (error) {
-            console.error('❌ Replacement failed:', error.message);
-            
-            // Mark current operation as failed
-            if (operations.length > 0) {
-                operations[operations.length - 1].status = "failed";
-                operations[operations.length - 1].error = error.message;
-            }
-            
-            // Log failed operation
-            this.logOperation('FAILED', {
-                organizationId,
-                networkId,
-                failedSerial,
-                replacementSerial,
-                error: error.message,
-                timestamp: new Date().toISOString()
-            });
+        // Nothing to write when the transfer leaves out every device record field
+        const configurationCalls = Object.keys(configData).length === 0 ? [] : [{
+            method: 'PUT',
+            path: devicePath,
+            payload: configData,
+            description: 'Apply device name, tags, location and notes',
+            undo: deviceUndo
+        }];
 
-            return {
-                success: false,
-                message: this.formatErrorMessage(error),
-                operations
-            };
+        if (source.radioSettings) {
+            configurationCalls.push({
+                method: 'PUT',
+                path: `${devicePath}/wireless/radio/settings`,
+                payload: source.radioSettings,
+                description: 'Apply wireless radio settings',
+                optional: true,
+                undo: current.claimed && current.radioSettings ? {
+                    method: 'PUT',
+                    path: `${devicePath}/wireless/radio/settings`,
+                    payload: current.radioSettings,
+                    description: 'Restore previous wireless radio settings'
+                } : null
+            });
         }
+
+        return configurationCalls;
     }
 
-    formatErrorMessage(error) {
-        if (error.response?.data?.errors) {
-            return error.response.data.errors[0];
+    // One step per handler (see config/deviceSettings.js) with settings in the source. A section shared by
+    // several handlers is sent once; calls carry ref "settings:<key>" so the audit lists what was applied.
+    buildSettingsSteps(source, current, serial) {
+        const steps = [];
+        const planned = new Set();
+
+        for (const handler of handlersForSettings(source.device, source.settings)) {
+            const calls = handler.sections
+                .filter(section => source.settings?.[section.key] && !planned.has(section.key))
+                .map(section => {
+                    planned.add(section.key);
+                    const name = section.label.charAt(0).toLowerCase() + section.label.slice(1);
+                    const previous = current.claimed ? current.settings?.[section.key] : null;
+                    return {
+                        method: 'PUT',
+                        path: section.path(serial),
+                        payload: source.settings[section.key],
+                        description: `Apply ${name}`,
+                        optional: true,
+                        ref: `settings:${section.key}`,
+                        undo: previous ? {
+                            method: 'PUT',
+                            path: section.path(serial),
+                            payload: previous,
+                            description: `Restore previous ${name}`
+                        } : null
+                    };
+                });
+
+            if (calls.length > 0) {
+                steps.push({ message: handler.step, calls });
+            }
         }
-        
-        if (error.response?.status === 404) {
-            return 'Resource not found. Please check the serial numbers and organization access.';
+
+        return steps;
+    }
+
+    // Switch ports mapped onto the target model's ports (see config/switching.js) and layer 3 routing, each
+    // as its own step. Every call is optional so one bad port or route never stops the rest.
+    // Returns { steps, portMapping }; calls carry ref "port:<source port>" for the per-port report.
+    buildSwitchSteps(source, current, serial, networkId, targetModel) {
+        const steps = [];
+        const portMapping = source.switchPorts?.length > 0
+            ? mapSwitchPorts(source.switchPorts, source.device?.model, targetModel || source.device?.model)
+            : [];
+
+        const previousPorts = new Map((current.switchPorts || []).map(port => [String(port.portId), port]));
+        const portCalls = [];
+        for (const entry of portMapping.filter(mapping => mapping.targetPort)) {
+            const { portId, ...portConfig } = source.switchPorts.find(port => String(port.portId) === entry.sourcePort);
+            const portPath = `/networks/${networkId}/devices/${serial}/switch/ports/${entry.targetPort}`;
+            const previousPort = current.claimed ? previousPorts.get(entry.targetPort) : null;
+            const { portId: previousPortId, ...previousPortConfig } = previousPort || {};
+
+            portCalls.push({
+                method: 'PUT',
+                path: portPath,
+                payload: portConfig,
+                description: entry.targetPort === entry.sourcePort
+                    ? `Apply switch port ${entry.sourcePort} settings`
+                    : `Apply switch port ${entry.sourcePort} settings to port ${entry.targetPort}`,
+                optional: true,
+                ref: `port:${entry.sourcePort}`,
+                undo: previousPort ? {
+                    method: 'PUT',
+                    path: portPath,
+                    payload: previousPortConfig,
+                    description: `Restore previous switch port ${entry.targetPort} settings`
+                } : null
+            });
         }
-        
-        if (error.response?.status === 403) {
-            return 'Access forbidden. Please check API key permissions for this organization.';
+        if (portCalls.length > 0) {
+            steps.push({ message: 'Applying switch port settings', calls: portCalls });
+        }
+
+        const routing = source.switchRouting;
+        if (routing) {
+            const routingPath = `/devices/${serial}/switch/routing`;
+            const routingCalls = [];
+            const existingInterfaces = new Map((current.switchRouting?.interfaces || [])
+                .map(routingInterface => [String(routingInterface.vlanId), routingInterface]));
+            const existingRoutes = new Map((current.switchRouting?.staticRoutes || [])
+                .map(route => [route.subnet, route]));
+
+            // The interface holding the default gateway has to exist before any other
+            const interfaces = [...routing.interfaces]
+                .sort((a, b) => (b.defaultGateway ? 1 : 0) - (a.defaultGateway ? 1 : 0));
+
+            for (const routingInterface of interfaces) {
+                const vlan = `VLAN ${routingInterface.vlanId}`;
+                const payload = pickFields(routingInterface, ROUTING_INTERFACE_FIELDS);
+                const existing = current.claimed ? existingInterfaces.get(String(routingInterface.vlanId)) : null;
+                const interfacePath = `${routingPath}/interfaces/${existing ? existing.interfaceId : '{id}'}`;
+                const dhcpCall = routingInterface.dhcp ? {
+                    method: 'PUT',
+                    path: `${interfacePath}/dhcp`,
+                    payload: routingInterface.dhcp,
+                    description: `Apply DHCP settings for ${vlan}`,
+                    optional: true,
+                    undo: existing?.dhcp ? {
+                        method: 'PUT',
+                        path: `${interfacePath}/dhcp`,
+                        payload: existing.dhcp,
+                        description: `Restore previous DHCP settings for ${vlan}`
+                    } : null
+                } : null;
+
+                if (existing) {
+                    routingCalls.push({
+                        method: 'PUT',
+                        path: interfacePath,
+                        payload,
+                        description: `Update layer 3 interface for ${vlan}`,
+                        optional: true,
+                        undo: {
+                            method: 'PUT',
+                            path: interfacePath,
+                            payload: pickFields(existing, ROUTING_INTERFACE_FIELDS),
+                            description: `Restore previous layer 3 interface for ${vlan}`
+                        }
+                    });
+                    if (dhcpCall) {
+                        routingCalls.push(dhcpCall);
+                    }
+                } else {
+                    // The DHCP settings need the new interface's ID, so they follow its creation
+                    routingCalls.push({
+                        method: 'POST',
+                        path: `${routingPath}/interfaces`,
+                        payload,
+                        description: `Create layer 3 interface for ${vlan}`,
+                        optional: true,
+                        createsId: 'interfaceId',
+                        undo: current.claimed ? {
+                            method: 'DELETE',
+                            path: interfacePath,
+                            payload: null,
+                            description: `Delete layer 3 interface for ${vlan}`
+                        } : null,
+                        followUps: dhcpCall ? [dhcpCall] : []
+                    });
+                }
+            }
+
+            for (const route of routing.staticRoutes) {
+                const label = `static route ${route.name || route.subnet}`;
+                const payload = pickFields(route, STATIC_ROUTE_FIELDS);
+                const existing = current.claimed ? existingRoutes.get(route.subnet) : null;
+                const routePath = `${routingPath}/staticRoutes/${existing ? existing.staticRouteId : '{id}'}`;
+
+                routingCalls.push(existing ? {
+                    method: 'PUT',
+                    path: routePath,
+                    payload,
+                    description: `Update ${label}`,
+                    optional: true,
+                    undo: {
+                        method: 'PUT',
+                        path: routePath,
+                        payload: pickFields(existing, STATIC_ROUTE_FIELDS),
+                        description: `Restore previous ${label}`
+                    }
+                } : {
+                    method: 'POST',
+                    path: `${routingPath}/staticRoutes`,
+                    payload,
+                    description: `Create ${label}`,
+                    optional: true,
+                    createsId: 'staticRouteId',
+                    undo: current.claimed ? {
+                        method: 'DELETE',
+                        path: routePath,
+                        payload: null,
+                        description: `Delete ${label}`
+                    } : null
+                });
+            }
+
+            if (routingCalls.length > 0) {
+                steps.push({ message: 'Applying switch routing settings', calls: routingCalls });
+            }
+        }
+
+        return { steps, portMapping };
+    }
+
+    // Swap the failed switch for the replacement in its stack; both moves are reverted on rollback
+    buildStackStep(stack, failedSerial, replacementSerial, networkId) {
+        const stackPath = `/networks/${networkId}/switch/stacks/${stack.id}`;
+        const name = stack.name || stack.id;
+
+        return {
+            message: `Moving switch stack membership (${name})`,
+            calls: [
+                {
+                    method: 'POST',
+                    path: `${stackPath}/add`,
+                    payload: { serial: replacementSerial },
+                    description: `Add replacement device to switch stack ${name}`,
+                    undo: {
+                        method: 'POST',
+                        path: `${stackPath}/remove`,
+                        payload: { serial: replacementSerial },
+                        description: `Remove replacement device from switch stack ${name}`
+                    }
+                },
+                {
+                    method: 'POST',
+                    path: `${stackPath}/remove`,
+                    payload: { serial: failedSerial },
+                    description: `Remove failed device from switch stack ${name}`,
+                    undo: {
+                        method: 'POST',
+                        path: `${stackPath}/add`,
+                        payload: { serial: failedSerial },
+                        description: `Add failed device back to switch stack ${name}`
+                    }
+                }
+            ]
+        };
+    }
+
+    // Claim a device into the network; unclaimed again on rollback unless it was already there
+    buildClaimCall(current, serial, networkId, label) {
+        return {
+            method: 'POST',
+            path: `/networks/${networkId}/devices/claim`,
+            payload: { serials: [serial] },
+            description: `Claim ${label} to network`,
+            tolerate: 'already claimed',
+            undo: current.claimed ? null : {
+                method: 'POST',
+                path: `/networks/${networkId}/devices/${serial}/remove`,
+                payload: null,
+                description: `Unclaim ${label} from network`
+            }
+        };
+    }
+
+    // Ordered write calls replaceDevice will send, grouped by operation step.
+    // source is expected to be narrowed with selectTransfer already. options:
+    // - switchContext: { replacementModel, stack } for switches (see getReplacementModel and getSwitchStack)
+    // - categories pick the device record fields, and naming (see getNaming) renders the hostname, notes and extra tags
+    // - releaseOrganizationId releases the failed device from that organization's inventory once it is removed
+    //   (optional, and never undone)
+    buildReplacementPlan(source, current, failedSerial, replacementSerial, networkId, {
+        switchContext = {},
+        categories = CATEGORY_KEYS,
+        naming = null,
+        releaseOrganizationId = null
+    } = {}) {
+        const configData = this.buildDeviceConfig(source.device, failedSerial, replacementSerial, categories, naming);
+        const switchSteps = this.buildSwitchSteps(source, current, replacementSerial, networkId, switchContext.replacementModel);
+        const steps = [
+            {
+                message: "Claiming replacement device to network",
+                calls: [this.buildClaimCall(current, replacementSerial, networkId, 'replacement device')]
+            },
+            {
+                message: "Applying configuration to replacement device",
+                calls: this.buildConfigurationCalls(source, current, configData, replacementSerial, networkId)
+            },
+            ...switchSteps.steps,
+            ...this.buildSettingsSteps(source, current, replacementSerial),
+            ...(switchContext.stack ? [this.buildStackStep(switchContext.stack, failedSerial, replacementSerial, networkId)] : []),
+            {
+                message: "Removing failed device from network",
+                calls: [{
+                    method: 'POST',
+                    path: `/networks/${networkId}/devices/${failedSerial}/remove`,
+                    payload: null,
+                    description: 'Remove failed device from network',
+                    undo: null
+                }]
+            },
+            {
+                message: "Releasing failed device from organization inventory",
+                calls: releaseOrganizationId ? [{
+                    method: 'POST',
+                    path: `/organizations/${releaseOrganizationId}/inventory/release`,
+                    payload: { serials: [failedSerial] },
+                    description: 'Release failed device from organization inventory',
+                    optional: true,
+                    ref: 'inventory-release',
+                    undo: null
+                }] : []
+            }
+        ];
+
+        // Step 1 is reading the failed device's configuration
+        return {
+            configData,
+            portMapping: switchSteps.portMapping,
+            steps: steps
+                .filter(planStep => planStep.calls.length > 0)
+                .map((planStep, index) => ({ step: index + 2, ...planStep }))
+        };
+    }
+
+    // Field-by-field comparison of the replacement's current state with what the plan will write
+    diffReplacementState(current, source, configData, portMapping = []) {
+        const diff = [];
+        const compare = (field, currentValue, plannedValue) => {
+            if (plannedValue !== null && typeof plannedValue === 'object' && !Array.isArray(plannedValue)) {
+                const keys = new Set([
+                    ...Object.keys(plannedValue),
+                    ...Object.keys(currentValue && typeof currentValue === 'object' ? currentValue : {})
+                ]);
+                for (const key of keys) {
+                    compare(`${field}.${key}`, currentValue?.[key], plannedValue[key]);
+                }
+                return;
+            }
+
+            diff.push({
+                field,
+                current: currentValue === undefined ? null : currentValue,
+                planned: plannedValue === undefined ? null : plannedValue,
+                changed: JSON.stringify(currentValue ?? null) !== JSON.stringify(plannedValue ?? null)
+            });
+        };
+
+        for (const [key, value] of Object.entries(configData)) {
+            compare(`device.${key}`, current.device?.[key], value);
+        }
+
+        if (source.radioSettings) {
+            const { serial, ...radioSettings } = source.radioSettings;
+            const { serial: currentSerial, ...currentRadioSettings } = current.radioSettings || {};
+            compare('wireless.radioSettings', current.radioSettings ? currentRadioSettings : null, radioSettings);
+        }
+
+        const currentPorts = new Map((current.switchPorts || []).map(port => [String(port.portId), port]));
+        for (const entry of portMapping.filter(mapping => mapping.targetPort)) {
+            const { portId, ...portConfig } = source.switchPorts.find(port => String(port.portId) === entry.sourcePort);
+            const { portId: currentPortId, ...currentPortConfig } = currentPorts.get(entry.targetPort) || {};
+            compare(`switch.ports.${entry.targetPort}`, currentPortId === undefined ? null : currentPortConfig, portConfig);
+        }
+
+        if (source.switchRouting) {
+            const currentInterfaces = new Map((current.switchRouting?.interfaces || [])
+                .map(routingInterface => [String(routingInterface.vlanId), routingInterface]));
+            for (const routingInterface of source.switchRouting.interfaces) {
+                const existing = currentInterfaces.get(String(routingInterface.vlanId));
+                compare(
+                    `switch.routing.interfaces.vlan${routingInterface.vlanId}`,
+                    existing ? { ...pickFields(existing, ROUTING_INTERFACE_FIELDS), dhcp: existing.dhcp } : null,
+                    { ...pickFields(routingInterface, ROUTING_INTERFACE_FIELDS), dhcp: routingInterface.dhcp }
+                );
+            }
+
+            const currentRoutes = new Map((current.switchRouting?.staticRoutes || []).map(route => [route.subnet, route]));
+            for (const route of source.switchRouting.staticRoutes) {
+                const existing = currentRoutes.get(route.subnet);
+                compare(
+                    `switch.routing.staticRoutes.${route.subnet}`,
+                    existing ? pickFields(existing, STATIC_ROUTE_FIELDS) : null,
+                    pickFields(route, STATIC_ROUTE_FIELDS)
+                );
+            }
+        }
+
+        for (const [key, value] of Object.entries(source.settings || {})) {
+            compare(`settings.${key}`, current.settings?.[key], value);
+        }
+
+        return diff;
+    }
+
+    // Replacement model and stack membership for a switch replacement; empty for other devices
+    async getSwitchContext(client, organizationId, networkId, source, current, failedSerial, replacementSerial) {
+        if (describeModel(source.device.model, source.device.productType).productType !== 'switch') {
+            return {};
+        }
+        return {
+            replacementModel: await this.getReplacementModel(organizationId, current, replacementSerial),
+            stack: await this.getSwitchStack(client, networkId, failedSerial)
+        };
+    }
+
+    // Port mapping joined with what happened to each port's call (see executePlanCalls results)
+    buildSwitchPortReport(portMapping, results) {
+        return portMapping.map(entry => {
+            const result = results.find(candidate => candidate.ref === `port:${entry.sourcePort}`);
+            return {
+                ...entry,
+                status: entry.targetPort ? (result?.status || 'skipped') : 'not mapped',
+                ...(result?.error ? { error: result.error } : {})
+            };
+        });
+    }
+
+    // Summary lines for the switch parts of a transfer
+    describeSwitchTransfer(source, portReport, stack = null) {
+        const lines = [];
+
+        if (portReport.length > 0) {
+            const applied = portReport.filter(entry => entry.status === 'applied').length;
+            lines.push(`Switch port settings (${applied} of ${portReport.length} ports applied)`);
+        }
+        if (source.switchRouting) {
+            const { interfaces, staticRoutes } = source.switchRouting;
+            const withDhcp = interfaces.filter(routingInterface => routingInterface.dhcp).length;
+            if (interfaces.length > 0) {
+                lines.push(`Layer 3 interfaces (${interfaces.length})`);
+            }
+            if (withDhcp > 0) {
+                lines.push(`DHCP settings (${withDhcp} interface${withDhcp === 1 ? '' : 's'})`);
+            }
+            if (staticRoutes.length > 0) {
+                lines.push(`Static routes (${staticRoutes.length})`);
+            }
+        }
+        if (stack) {
+            lines.push(`Switch stack membership (${stack.name || stack.id})`);
+        }
+
+        return lines;
+    }
+
+    // Dry run: read both devices and return the planned calls without sending any write.
+    // options are replaceDevice's (transfer, operator, rma, releaseFromInventory).
+    async planReplacement(failedSerial, replacementSerial, networkId, organizationId, options = {}) {
+        try {
+            console.log(`🧪 Planning replacement (dry run) in network ${networkId}, organization ${organizationId}`);
+            const client = this.getClient(organizationId);
+            const transfer = options.transfer || null;
+            const categories = transfer?.categories || CATEGORY_KEYS;
+
+            const source = selectTransfer(await this.getDeviceConfiguration(client, networkId, failedSerial), categories);
+            const current = await this.getReplacementState(client, networkId, replacementSerial);
+            const switchContext = await this.getSwitchContext(client, organizationId, networkId, source, current, failedSerial, replacementSerial);
+            const naming = await this.getNaming(organizationId, networkId, source.device, failedSerial, replacementSerial, options);
+            const plan = this.buildReplacementPlan(source, current, failedSerial, replacementSerial, networkId, {
+                switchContext,
+                categories,
+                naming,
+                releaseOrganizationId: options.releaseFromInventory ? organizationId : null
+            });
+
+            return {
+                success: true,
+                dryRun: true,
+                message: `Dry run completed: ${plan.steps.reduce((count, step) => count + step.calls.length, 0)} write calls planned, none sent`,
+                plan: {
+                    failedDevice: failedSerial,
+                    replacementDevice: replacementSerial,
+                    networkId,
+                    organizationId,
+                    replacementClaimed: current.claimed,
+                    hostnameTransferred: plan.configData.name || null,
+                    transfer: transfer || { profile: null, categories, templates: {} },
+                    naming: {
+                        templates: naming.templates,
+                        hostname: plan.configData.name ?? null,
+                        notes: plan.configData.notes ?? null,
+                        tags: plan.configData.tags ?? null
+                    },
+                    steps: plan.steps,
+                    portMapping: plan.portMapping,
+                    switchStack: switchContext.stack ? { id: switchContext.stack.id, name: switchContext.stack.name } : null,
+                    releaseFromInventory: !!options.releaseFromInventory,
+                    diff: this.diffReplacementState(current, source, plan.configData, plan.portMapping)
+                }
+            };
+        } catch (error) {
+            console.error('❌ Dry run failed:', error.message);
+            return {
+                success: false,
+                dryRun: true,
+                message: this.formatErrorMessage(error)
+            };
+        }
+    }
+
+    // options.dryRun returns the plan without writing; options.onProgress(operations, totalSteps)
+    // is called every time a step starts, finishes or fails; options.operator is recorded in the log.
+    // The failed device's configuration is snapshotted under the operation ID before any write.
+    // options.override (from getOnlineOverride) is recorded when an online device is replaced anyway.
+    // options.transfer (from resolveTransfer) limits what is copied; everything is copied without it.
+    // Its templates name the replacement (see getNaming).
+    // options.rma ({ caseNumber, ticketId, trackingNumber }) is stored with the snapshot and the audit entries;
+    // a completed replacement starts the RMA lifecycle at "replaced" (see updateRma).
+    // options.releaseFromInventory releases the failed device from organization inventory after removal; callers
+    // get the operator's confirmation first (see getInventoryRelease). A failed release does not roll anything back.
+    async replaceDevice(failedSerial, replacementSerial, networkId, organizationId, options = {}) {
+        if (options.dryRun) {
+            return this.planReplacement(failedSerial, replacementSerial, networkId, organizationId, options);
+        }
+
+        const operationId = crypto.randomUUID();
+        const transfer = options.transfer || { profile: null, categories: CATEGORY_KEYS, templates: {} };
+        let rma = null;
+        let snapshotSaved = false;
+        const operations = [];
+        const completedCalls = [];
+        const callResults = [];
+        let client = null;
+        let totalSteps = null;
+        const reportProgress = () => {
+            if (options.onProgress) {
+                options.onProgress(operations.map(operation => ({ ...operation })), totalSteps);
+            }
+        };
+
+        try {
+            console.log(`🔄 Starting replacement process in network ${networkId}, organization ${organizationId}`);
+            rma = buildRmaRecord(options.rma);
+            client = this.getClient(organizationId);
+
+            operations.push({
+                step: 1,
+                message: "Retrieving failed device configuration",
+                status: "in-progress",
+                timestamp: new Date().toISOString()
+            });
+            reportProgress();
+
+            // Get failed device details, radio and switch port settings
+            const source = await this.getDeviceConfiguration(client, networkId, failedSerial);
+            const failedDevice = source.device;
+            console.log(`📋 Retrieved configuration for: ${failedDevice.name || failedSerial}`);
+
+            // Nothing is written unless the snapshot is safely on disk
+            const snapshot = {
+                id: operationId,
+                createdAt: new Date().toISOString(),
+                operator: options.operator || null,
+                organizationId,
+                networkId,
+                failedSerial,
+                replacementSerial,
+                rma,
+                configuration: source
+            };
+            try {
+                await this.snapshots.save(snapshot);
+                snapshotSaved = true;
+                console.log(`📸 Configuration snapshot saved: ${operationId}`);
+            } catch (error) {
+                throw new Error(`Could not save the configuration snapshot, no changes were made: ${error.message}`);
+            }
+
+            // Capture the replacement's current state so every write can be compensated
+            const current = await this.getReplacementState(client, networkId, replacementSerial);
+            // The snapshot keeps everything; only the selected categories are written
+            const transferred = selectTransfer(source, transfer.categories);
+            const switchContext = await this.getSwitchContext(client, organizationId, networkId, transferred, current, failedSerial, replacementSerial);
+
+            const naming = await this.getNaming(organizationId, networkId, failedDevice, failedSerial, replacementSerial, options);
+            const plan = this.buildReplacementPlan(transferred, current, failedSerial, replacementSerial, networkId, {
+                switchContext,
+                categories: transfer.categories,
+                naming,
+                releaseOrganizationId: options.releaseFromInventory ? organizationId : null
+            });
+            const configData = plan.configData;
+            totalSteps = 1 + plan.steps.length;
+            operations[0].status = "completed";
+            reportProgress();
+
+            for (const planStep of plan.steps) {
+                operations.push({
+                    step: planStep.step,
+                    message: planStep.message,
+                    status: "in-progress",
+                    timestamp: new Date().toISOString()
+                });
+                reportProgress();
+
+                const stepResults = [];
+                try {
+                    await this.executePlanCalls(client, planStep.calls, completedCalls, stepResults);
+                } finally {
+                    operations[operations.length - 1].results = stepResults;
+                    callResults.push(...stepResults);
+                }
+                operations[operations.length - 1].status = "completed";
+                reportProgress();
+            }
+            const switchPortReport = this.buildSwitchPortReport(plan.portMapping, callResults);
+            const inventoryRelease = this.describeInventoryRelease(options, callResults);
+            if (inventoryRelease && !inventoryRelease.released) {
+                console.warn(`⚠️  ${failedSerial} was removed but not released from inventory: ${inventoryRelease.error}`);
+            }
+            console.log(`✅ Replaced ${failedSerial} with ${replacementSerial}, hostname: ${configData.name ? `"${configData.name}"` : 'not transferred'}`);
+
+            // Keep what was written with the snapshot so the replacement can be verified later
+            // (updates of objects created during the run have no fixed path and are left out)
+            rma.status = 'replaced';
+            try {
+                await this.snapshots.save({
+                    ...snapshot,
+                    rma,
+                    applied: plan.steps
+                        .flatMap(planStep => planStep.calls)
+                        .filter(call => call.method === 'PUT' && !call.path.includes('{id}'))
+                        .map(({ path, payload, description }) => ({ path, payload, description }))
+                });
+            } catch (error) {
+                console.warn(`⚠️  Could not record the applied configuration for ${operationId}:`, error.message);
+            }
+
+            // Log successful operation with hostname info
+            const audit = await this.logOperation('SUCCESS', {
+                operationId,
+                snapshotId: operationId,
+                organizationId,
+                networkId,
+                failedSerial,
+                replacementSerial,
+                operator: options.operator || null,
+                ...(options.override ? { override: options.override } : {}),
+                transfer,
+                rma,
+                hostnameTransferred: configData.name || null,
+                originalHostname: failedDevice.name || 'None',
+                configurationApplied: {
+                    basic: Object.keys(configData).length > 0,
+                    hostname: !!configData.name,
+                    wireless: !!transferred.radioSettings,
+                    switch: !!transferred.switchPorts,
+                    switchRouting: !!transferred.switchRouting,
+                    switchStack: switchContext.stack?.id || null,
+                    settings: this.appliedSettings(callResults)
+                },
+                ...(switchPortReport.length > 0 ? { switchPorts: switchPortReport } : {}),
+                ...(inventoryRelease ? { inventoryRelease } : {}),
+                timestamp: new Date().toISOString()
+            });
+
+            const auditError = this.describeAuditFailures([audit]);
+
+            return {
+                success: true,
+                message: `Device replacement completed successfully in organization ${organizationId}`,
+                ...(auditError ? { auditError } : {}),
+                operationId,
+                operations,
+                summary: {
+                    operationId,
+                    failedDevice: failedSerial,
+                    replacementDevice: replacementSerial,
+                    networkId,
+                    organizationId,
+                    hostnameTransferred: configData.name || null,
+                    transfer,
+                    rma,
+                    configurationTypes: [
+                        ...(configData.name ? [`Hostname: "${configData.name}"`] : []),
+                        ...this.describeDeviceFields(configData),
+                        ...(transferred.radioSettings ? ['Wireless radio settings'] : []),
+                        ...this.describeSwitchTransfer(transferred, switchPortReport, switchContext.stack),
+                        ...this.describeDeviceSettings(this.appliedSettings(callResults))
+                    ],
+                    ...(switchPortReport.length > 0 ? { switchPorts: switchPortReport } : {}),
+                    ...(inventoryRelease ? { inventoryRelease } : {}),
+                    failedCalls: callResults.filter(result => result.status === 'failed')
+                }
+            };
+
+        } catch (error) {
+            console.error('❌ Replacement failed:', error.message);
+
+            // Mark current operation as failed
+            if (operations.length > 0) {
+                operations[operations.length - 1].status = "failed";
+                operations[operations.length - 1].error = error.message;
+            }
+            reportProgress();
+
+            // Undo every completed write so the network is left as it was
+            const rollback = await this.rollbackReplacement(client, completedCalls, operations, {
+                operationId,
+                organizationId,
+                networkId,
+                failedSerial,
+                replacementSerial,
+                operator: options.operator || null
+            }, reportProgress);
+
+            // Log failed operation
+            const audit = await this.logOperation('FAILED', {
+                operationId,
+                snapshotId: snapshotSaved ? operationId : null,
+                organizationId,
+                networkId,
+                failedSerial,
+                replacementSerial,
+                operator: options.operator || null,
+                ...(options.override ? { override: options.override } : {}),
+                transfer,
+                rma,
+                ...(options.releaseFromInventory ? { inventoryRelease: this.describeInventoryRelease(options, callResults) } : {}),
+                error: error.message,
+                rolledBack: rollback.complete,
+                timestamp: new Date().toISOString()
+            });
+
+            const auditError = this.describeAuditFailures([...rollback.auditResults, audit]);
+
+            return {
+                success: false,
+                message: this.formatErrorMessage(error),
+                ...(auditError ? { auditError } : {}),
+                operationId,
+                rolledBack: rollback.complete,
+                operations
+            };
+        } finally {
+            // Claims and removals change inventory assignments
+            this.cache.invalidate(`inventory:${organizationId}:`);
+        }
+    }
+
+    // Where a snapshot restore would write: the target's network, or the snapshot's network
+    // if the target is still unassigned inventory in the snapshot's organization
+    async resolveRestoreTarget(snapshot, serial) {
+        const device = await this.findDeviceInOrganization(snapshot.organizationId, serial);
+        if (device && device.networkId) {
+            return { serial, networkId: device.networkId, claimed: true };
+        }
+
+        const inventoryDevice = await this.getInventoryDevice(snapshot.organizationId, serial);
+        if (!inventoryDevice) {
+            throw new Error(`Device ${serial} not found in organization ${snapshot.organizationId}. Snapshots can only be restored within their organization.`);
+        }
+        if (inventoryDevice.networkId) {
+            return { serial, networkId: inventoryDevice.networkId, claimed: true };
+        }
+        return { serial, networkId: snapshot.networkId, claimed: false };
+    }
+
+    // The device record exactly as captured; the hostname falls back to the serial like a replacement does
+    buildExactDeviceConfig(device, serial) {
+        const configData = {};
+        for (const key of TRANSFERABLE_DEVICE_FIELDS) {
+            if (device?.[key] !== undefined) {
+                configData[key] = device[key];
+            }
+        }
+        if (!configData.name) {
+            configData.name = serial;
+        }
+        return configData;
+    }
+
+    // Apply a captured configuration ({ device, radioSettings, switchPorts, switchRouting, settings }) to target.serial exactly as
+    // captured (no replacement note). Shared by snapshot restore and bundle import; uses the same calls and
+    // rollback as replaceDevice and never touches any other device.
+    // options: organizationId, operator, statuses [success, failure], context (extra audit fields), successMessage
+    async applyConfiguration(source, target, options) {
+        const operationId = crypto.randomUUID();
+        const { organizationId } = options;
+        const { serial, networkId } = target;
+        const [successStatus, failureStatus] = options.statuses;
+        const operations = [];
+        const completedCalls = [];
+        const callResults = [];
+        let client = null;
+        const context = {
+            operationId,
+            ...options.context,
+            organizationId,
+            networkId,
+            replacementSerial: serial,
+            operator: options.operator || null
+        };
+        const configData = this.buildExactDeviceConfig(source.device, serial);
+
+        try {
+            client = this.getClient(organizationId);
+
+            operations.push({
+                step: 1,
+                message: "Reading target device state",
+                status: "in-progress",
+                timestamp: new Date().toISOString()
+            });
+            const current = await this.getReplacementState(client, networkId, serial);
+            operations[0].status = "completed";
+
+            const steps = [];
+            if (!current.claimed) {
+                steps.push({
+                    message: "Claiming target device to network",
+                    calls: [this.buildClaimCall(current, serial, networkId, 'target device')]
+                });
+            }
+            steps.push({
+                message: "Applying configuration",
+                calls: this.buildConfigurationCalls(source, current, configData, serial, networkId)
+            });
+            const targetModel = source.switchPorts?.length > 0 ? await this.getReplacementModel(organizationId, current, serial) : null;
+            const switchSteps = this.buildSwitchSteps(source, current, serial, networkId, targetModel);
+            steps.push(...switchSteps.steps);
+            steps.push(...this.buildSettingsSteps(source, current, serial));
+
+            for (const planStep of steps) {
+                operations.push({
+                    step: operations.length + 1,
+                    message: planStep.message,
+                    status: "in-progress",
+                    timestamp: new Date().toISOString()
+                });
+                const stepResults = [];
+                try {
+                    await this.executePlanCalls(client, planStep.calls, completedCalls, stepResults);
+                } finally {
+                    operations[operations.length - 1].results = stepResults;
+                    callResults.push(...stepResults);
+                }
+                operations[operations.length - 1].status = "completed";
+            }
+            const switchPortReport = this.buildSwitchPortReport(switchSteps.portMapping, callResults);
+            console.log(`✅ ${options.successMessage}`);
+
+            const audit = await this.logOperation(successStatus, {
+                ...context,
+                hostnameTransferred: configData.name,
+                configurationApplied: {
+                    basic: true,
+                    hostname: true,
+                    wireless: !!source.radioSettings,
+                    switch: !!source.switchPorts,
+                    switchRouting: !!source.switchRouting,
+                    settings: this.appliedSettings(callResults)
+                },
+                ...(switchPortReport.length > 0 ? { switchPorts: switchPortReport } : {}),
+                timestamp: new Date().toISOString()
+            });
+            const auditError = this.describeAuditFailures([audit]);
+
+            return {
+                success: true,
+                message: options.successMessage,
+                ...(auditError ? { auditError } : {}),
+                operationId,
+                operations,
+                ...(switchPortReport.length > 0 ? { switchPorts: switchPortReport } : {}),
+                failedCalls: callResults.filter(result => result.status === 'failed')
+            };
+        } catch (error) {
+            console.error(`❌ ${failureStatus}:`, error.message);
+
+            if (operations.length > 0) {
+                operations[operations.length - 1].status = "failed";
+                operations[operations.length - 1].error = error.message;
+            }
+
+            const rollback = await this.rollbackReplacement(client, completedCalls, operations, context);
+            const audit = await this.logOperation(failureStatus, {
+                ...context,
+                error: error.message,
+                rolledBack: rollback.complete,
+                timestamp: new Date().toISOString()
+            });
+            const auditError = this.describeAuditFailures([...rollback.auditResults, audit]);
+
+            return {
+                success: false,
+                message: this.formatErrorMessage(error),
+                ...(auditError ? { auditError } : {}),
+                operationId,
+                rolledBack: rollback.complete,
+                operations
+            };
+        } finally {
+            this.cache.invalidate(`inventory:${organizationId}:`);
+        }
+    }
+
+    // Reapply a pre-replacement snapshot to target.serial (see resolveRestoreTarget)
+    async restoreSnapshot(snapshot, target, options = {}) {
+        console.log(`♻️  Restoring snapshot ${snapshot.id} to ${target.serial} in network ${target.networkId}`);
+        return this.applyConfiguration(snapshot.configuration, target, {
+            organizationId: snapshot.organizationId,
+            operator: options.operator,
+            statuses: ['RESTORE', 'RESTORE_FAILED'],
+            context: {
+                snapshotId: snapshot.id,
+                failedSerial: snapshot.failedSerial
+            },
+            successMessage: `Snapshot ${snapshot.id} restored to ${target.serial}`
+        });
+    }
+
+    // Apply an imported configuration bundle to a device that is already in a network
+    async importBundle(bundle, target, options = {}) {
+        console.log(`📥 Importing configuration bundle from ${bundle.source.serial || 'unknown device'} to ${target.serial}`);
+        return this.applyConfiguration(bundle.configuration, target, {
+            organizationId: target.organizationId,
+            operator: options.operator,
+            statuses: ['IMPORT', 'IMPORT_FAILED'],
+            context: {
+                bundleSource: bundle.source,
+                failedSerial: bundle.source.serial || null
+            },
+            successMessage: `Configuration bundle imported to ${target.serial}`
+        });
+    }
+
+    // The transferable configuration of a claimed device (see findClaimedDevice), for a bundle
+    async exportConfiguration(target) {
+        const client = this.getClient(target.organizationId);
+        const { device, radioSettings, switchPorts, switchRouting, settings } = await this.getDeviceConfiguration(client, target.networkId, target.serial);
+
+        const deviceConfig = {};
+        for (const key of TRANSFERABLE_DEVICE_FIELDS) {
+            if (device[key] !== undefined) {
+                deviceConfig[key] = device[key];
+            }
+        }
+
+        return {
+            source: {
+                serial: target.serial,
+                model: device.model || null,
+                productType: device.productType || null,
+                organizationId: target.organizationId,
+                networkId: target.networkId
+            },
+            configuration: {
+                device: deviceConfig,
+                radioSettings,
+                switchPorts,
+                switchRouting,
+                settings
+            }
+        };
+    }
+
+    // A claimed device anywhere in the configured organizations, as { serial, organizationId, networkId }
+    async findClaimedDevice(serial) {
+        const { results } = await this.searchDeviceAcrossOrganizations(serial);
+        const match = results.find(result => result.networkId);
+        if (!match) {
+            throw new Error(`Device ${serial} is not claimed into a network in any configured organization`);
+        }
+        return {
+            serial,
+            organizationId: match.organizationId,
+            networkId: match.networkId,
+            device: match.device
+        };
+    }
+
+    getVerificationOptions() {
+        return {
+            timeoutMs: secondsFromEnv('VERIFY_TIMEOUT_SECONDS', 600),
+            pollIntervalMs: secondsFromEnv('VERIFY_POLL_SECONDS', 15)
+        };
+    }
+
+    // Poll the device status until it reports online or the timeout passes
+    async waitForOnline(client, organizationId, serial, onProgress = () => {}) {
+        const { timeoutMs, pollIntervalMs } = this.getVerificationOptions();
+        const startedAt = Date.now();
+        let deviceStatus = null;
+
+        for (;;) {
+            try {
+                const statuses = await this.getAllPages(client, `/organizations/${organizationId}/devices/statuses`, {
+                    'serials[]': serial
+                });
+                deviceStatus = statuses.find(status => status.serial === serial) || null;
+            } catch (error) {
+                console.warn(`⚠️  Could not read the status of ${serial}:`, error.message);
+            }
+
+            const waitedSeconds = Math.round((Date.now() - startedAt) / 1000);
+            const status = deviceStatus?.status || 'unknown';
+            if (status === 'online' || Date.now() - startedAt + pollIntervalMs > timeoutMs) {
+                return {
+                    status,
+                    lastReportedAt: deviceStatus?.lastReportedAt || null,
+                    lanIp: deviceStatus?.lanIp || null,
+                    waitedSeconds
+                };
+            }
+
+            onProgress(`Waiting for ${serial} to come online (${status}, ${waitedSeconds}s of ${Math.round(timeoutMs / 1000)}s)`);
+            await new Promise(resolve => setTimeout(resolve, pollIntervalMs));
+        }
+    }
+
+    // Check a finished replacement: the replacement must come online and every setting written
+    // must read back unchanged. The report is audited as VERIFY or VERIFY_FAILED under the operation ID.
+    async verifyReplacement(snapshot, options = {}) {
+        const onProgress = options.onProgress || (() => {});
+        const { id: operationId, organizationId, networkId, failedSerial, replacementSerial } = snapshot;
+
+        if (!Array.isArray(snapshot.applied)) {
+            return {
+                success: false,
+                message: `Operation ${operationId} has no applied configuration to verify. Only successful replacements can be verified.`
+            };
+        }
+
+        try {
+            console.log(`🔎 Verifying replacement ${operationId}: ${replacementSerial} in network ${networkId}`);
+            const client = this.getClient(organizationId);
+
+            onProgress(`Waiting for ${replacementSerial} to come online`);
+            const online = await this.waitForOnline(client, organizationId, replacementSerial, onProgress);
+
+            onProgress('Reading back the applied settings');
+            const checks = [{
+                setting: 'status',
+                expected: 'online',
+                actual: online.status,
+                passed: online.status === 'online'
+            }];
+
+            for (const call of snapshot.applied) {
+                try {
+                    const response = await client.get(call.path);
+                    checks.push(...compareCall(call, response.data, replacementSerial));
+                } catch (error) {
+                    checks.push(...compareCall(call, null, replacementSerial, this.formatErrorMessage(error)));
+                }
+            }
+
+            const summary = summarizeChecks(checks);
+            const verification = {
+                operationId,
+                replacementSerial,
+                passed: summary.failed === 0,
+                online,
+                checks,
+                summary,
+                checkedAt: new Date().toISOString()
+            };
+            console.log(`${verification.passed ? '✅' : '⚠️ '} Verification of ${operationId}: ${summary.passed}/${summary.total} checks passed`);
+
+            const audit = await this.logOperation(verification.passed ? 'VERIFY' : 'VERIFY_FAILED', {
+                operationId,
+                organizationId,
+                networkId,
+                failedSerial,
+                replacementSerial,
+                operator: options.operator || null,
+                verification
+            });
+            const auditError = this.describeAuditFailures([audit]);
+
+            return {
+                success: true,
+                message: verification.passed
+                    ? `Verification passed: ${summary.passed} of ${summary.total} checks`
+                    : `Verification failed: ${summary.failed} of ${summary.total} checks did not match`,
+                ...(auditError ? { auditError } : {}),
+                verification
+            };
+        } catch (error) {
+            console.error('❌ Verification failed to run:', error.message);
+            return {
+                success: false,
+                message: this.formatErrorMessage(error)
+            };
+        }
+    }
+
+    // Move a completed replacement along its RMA lifecycle and/or fill in its case details.
+    // changes: status and any of RMA_FIELDS (blank strings clear a field). The lifecycle only moves forward.
+    // The current state is kept on the operation's snapshot and every change is appended to the audit log
+    // as RMA_UPDATE. Resolves to { success: false, message } for changes that are not allowed.
+    async updateRma(snapshot, changes, options = {}) {
+        // Replacements from before RMA tracking only have the applied configuration to show they completed
+        const previous = snapshot.rma?.status ? snapshot.rma : buildRmaRecord(snapshot.rma || {}, snapshot.applied ? 'replaced' : null);
+        if (!previous.status) {
+            return {
+                success: false,
+                message: 'Only completed replacements have an RMA lifecycle'
+            };
+        }
+
+        if (changes.status && RMA_STATUS_KEYS.indexOf(changes.status) < RMA_STATUS_KEYS.indexOf(previous.status)) {
+            return {
+                success: false,
+                message: `The RMA is already ${rmaStatusLabel(previous.status)} and cannot move back to ${rmaStatusLabel(changes.status)}`
+            };
+        }
+
+        const details = {};
+        for (const field of RMA_FIELDS) {
+            details[field] = changes[field] !== undefined ? changes[field] : previous[field] || '';
+        }
+        const rma = {
+            ...buildRmaRecord(details, changes.status || previous.status),
+            updatedBy: options.operator || null,
+            updatedAt: new Date().toISOString()
+        };
+
+        await this.snapshots.update(snapshot.id, saved => ({ ...saved, rma }));
+        console.log(`📦 RMA of operation ${snapshot.id}: ${rmaStatusLabel(previous.status)} → ${rmaStatusLabel(rma.status)}`);
+
+        const audit = await this.logOperation('RMA_UPDATE', {
+            operationId: snapshot.id,
+            organizationId: snapshot.organizationId,
+            networkId: snapshot.networkId,
+            failedSerial: snapshot.failedSerial,
+            replacementSerial: snapshot.replacementSerial,
+            operator: options.operator || null,
+            previousRmaStatus: previous.status,
+            rma
+        });
+        const auditError = this.describeAuditFailures([audit]);
+
+        return {
+            success: true,
+            message: rma.status === previous.status
+                ? `RMA details updated (${rmaStatusLabel(rma.status)})`
+                : `RMA status changed from ${rmaStatusLabel(previous.status)} to ${rmaStatusLabel(rma.status)}`,
+            ...(auditError ? { auditError } : {}),
+            rma
+        };
+    }
+
+    // Send planned calls in order. Optional calls only warn on failure.
+    // Calls that went through and can be compensated are appended to completedCalls, and every call's
+    // outcome ({ description, status, ref, error }) to results. A call with createsId reads the new object's
+    // ID from its response and fills it into the "{id}" of its undo and followUps, which run right after it.
+    async executePlanCalls(client, calls, completedCalls = [], results = []) {
+        const record = (call, status, error = null) => {
+            results.push({
+                description: call.description,
+                status,
+                ...(call.ref ? { ref: call.ref } : {}),
+                ...(error ? { error } : {})
+            });
+        };
+        const skipFollowUps = (call, reason) => {
+            for (const followUp of call.followUps || []) {
+                record(followUp, 'skipped', reason);
+            }
+        };
+
+        for (const call of calls) {
+            let response;
+            try {
+                response = await client.request({
+                    method: call.method.toLowerCase(),
+                    url: call.path,
+                    data: call.payload ?? undefined
+                });
+            } catch (error) {
+                if (call.tolerate && error.response?.data?.errors?.[0]?.includes(call.tolerate)) {
+                    console.log(`ℹ️  ${call.description}: ${call.tolerate}`);
+                    record(call, 'applied');
+                    continue;
+                }
+                record(call, 'failed', this.formatErrorMessage(error));
+                skipFollowUps(call, `${call.description} failed`);
+                if (!call.optional) {
+                    throw error;
+                }
+                console.warn(`⚠️  ${call.description} failed:`, error.message);
+                continue;
+            }
+
+            console.log(`✅ ${call.description}`);
+            record(call, 'applied');
+
+            if (!call.createsId) {
+                if (call.undo) {
+                    completedCalls.push(call);
+                }
+                continue;
+            }
+
+            const createdId = response?.data?.[call.createsId];
+            if (!createdId) {
+                console.warn(`⚠️  ${call.description}: no ${call.createsId} returned`);
+                skipFollowUps(call, `No ${call.createsId} returned`);
+                continue;
+            }
+            const withId = target => target && { ...target, path: target.path.replace('{id}', createdId) };
+            if (call.undo) {
+                completedCalls.push({ ...call, undo: withId(call.undo) });
+            }
+            if (call.followUps?.length > 0) {
+                await this.executePlanCalls(client, call.followUps.map(followUp => ({
+                    ...followUp,
+                    undo: withId(followUp.undo)
+                })).map(withId), completedCalls, results);
+            }
+        }
+    }
+
+    // Run the compensating calls of completed writes in reverse order, recording each one
+    async rollbackReplacement(client, completedCalls, operations, context, reportProgress = () => {}) {
+        let complete = true;
+        const auditResults = [];
+
+        if (completedCalls.length === 0) {
+            return { complete, auditResults };
+        }
+
+        console.log(`↩️  Rolling back ${completedCalls.length} completed changes`);
+
+        for (const call of [...completedCalls].reverse()) {
+            const operation = {
+                step: operations.length + 1,
+                message: `Rollback: ${call.undo.description}`,
+                status: "in-progress",
+                rollback: true,
+                timestamp: new Date().toISOString()
+            };
+            operations.push(operation);
+            reportProgress();
+
+            try {
+                await client.request({
+                    method: call.undo.method.toLowerCase(),
+                    url: call.undo.path,
+                    data: call.undo.payload ?? undefined
+                });
+                operation.status = "completed";
+                console.log(`↩️  ${call.undo.description}`);
+            } catch (error) {
+                complete = false;
+                operation.status = "failed";
+                operation.error = error.message;
+                console.error(`❌ Rollback step failed (${call.undo.description}):`, error.message);
+            }
+            reportProgress();
+
+            auditResults.push(await this.logOperation(operation.status === 'completed' ? 'ROLLBACK' : 'ROLLBACK_FAILED', {
+                ...context,
+                compensation: call.undo.description,
+                method: call.undo.method,
+                path: call.undo.path,
+                revertedCall: call.description,
+                error: operation.error || null,
+                timestamp: new Date().toISOString()
+            }));
+        }
+
+        return { complete, auditResults };
+    }
+
+    formatErrorMessage(error) {
+        if (error.response?.data?.errors) {
+            return error.response.data.errors[0];
+        }
+        
+        if (error.response?.status === 404) {
+            return 'Resource not found. Please check the serial numbers and organization access.';
+        }
+        
+        if (error.response?.status === 403) {
+            return 'Access forbidden. Please check API key permissions for this organization.';
         }
         
         if (error.response?.status === 429) {
-            return 'Rate limit exceeded. Please try again in a moment.';
+            const retries = error.config?.retryCount ? ` after ${error.config.retryCount - 1} retries` : '';
+            return `Rate limit exceeded${retries}. Please try again in a moment.`;
         }
         
         return error.message;
     }
 
-    logOperation(status, details) {
+    // Write an audit entry through the configured store. Never throws: resolves to
+    // { recorded: false, error } when the write failed so callers can tell the operator.
+    async logOperation(status, details) {
         const logEntry = {
             status,
             timestamp: new Date().toISOString(),
             ...details
         };
         
-        if (process.env.LOG_TO_FILE === 'true') {
-            const fs = require('fs');
-            const path = require('path');
-            
-            try {
-                const logFile = path.join(__dirname, '../logs/operations.log');
-                fs.appendFileSync(logFile, JSON.stringify(logEntry) + '\n');
-            } catch (error) {
-                console.error('Failed to write to log file:', error.message);
-            }
-        }
-        
         console.log(`📝 Operation logged: ${status}`, details);
+        
+        try {
+            await this.auditStore.append(logEntry);
+            return { recorded: true };
+        } catch (error) {
+            console.error(`❌ Failed to write ${status} audit entry (${this.auditStore.name}):`, error.message);
+            this.lastAuditError = {
+                message: error.message,
+                status,
+                timestamp: logEntry.timestamp
+            };
+            return { recorded: false, error: error.message };
+        }
+    }
+
+    // One operator-facing message for audit writes that failed, or null when all were recorded
+    describeAuditFailures(auditResults) {
+        const failures = auditResults.filter(result => !result.recorded);
+        if (failures.length === 0) {
+            return null;
+        }
+        return `The audit record could not be written (${failures[0].error}). Record this operation manually.`;
+    }
+
+    getAuditStatus() {
+        return {
+            store: this.auditStore.name,
+            lastError: this.lastAuditError
+        };
     }
 
     // Get all configured organizations info
@@ -513,15 +2109,14 @@ class MerakiAPI {
         
         for (const [orgId, apiKey] of this.organizations) {
             try {
-                const client = this.getClient(orgId);
-                const orgResponse = await client.get(`/organizations/${orgId}`);
-                const networksResponse = await client.get(`/organizations/${orgId}/networks`);
+                const organization = await this.getOrganization(orgId);
+                const networks = await this.getOrganizationNetworks(orgId);
                 
                 organizations.push({
                     id: orgId,
-                    name: orgResponse.data.name,
-                    url: orgResponse.data.url,
-                    networkCount: networksResponse.data.length,
+                    name: organization.name,
+                    url: organization.url,
+                    networkCount: networks.length,
                     accessible: true,
                     apiKeyMasked: `${apiKey.substring(0, 6)}...${apiKey.substring(apiKey.length - 4)}`
                 });
@@ -542,36 +2137,41 @@ class MerakiAPI {
         };
     }
 
+    // Find a serial in an organization's device list (claimed devices only); null when absent
+    async findDeviceInOrganization(organizationId, serial) {
+        const client = this.getClient(organizationId);
+        const devices = await this.getAllPages(client, `/organizations/${organizationId}/devices`, {
+            'serials[]': serial
+        });
+        return devices.find(device => device.serial === serial) || null;
+    }
+
     // Search for a device across all organizations
     async searchDeviceAcrossOrganizations(serial) {
         const results = [];
         
         for (const [orgId, apiKey] of this.organizations) {
             try {
-                const client = this.getClient(orgId);
-                const orgResponse = await client.get(`/organizations/${orgId}`);
-                const organization = orgResponse.data;
-                
-                const networksResponse = await client.get(`/organizations/${orgId}/networks`);
-                const networks = networksResponse.data;
-
-                for (const network of networks) {
-                    try {
-                        const deviceResponse = await client.get(`/networks/${network.id}/devices/${serial}`);
-                        if (deviceResponse.data) {
-                            results.push({
-                                device: deviceResponse.data,
-                                organizationId: orgId,
-                                organizationName: organization.name,
-                                networkId: network.id,
-                                networkName: network.name
-                            });
-                        }
-                    } catch (error) {
-                        // Device not in this network, continue
-                        continue;
-                    }
+                const organization = await this.getOrganization(orgId);
+
+                const device = await this.findDeviceInOrganization(orgId, serial);
+                if (!device) {
+                    continue;
+                }
+
+                let networkName = null;
+                if (device.networkId) {
+                    const network = await this.getNetwork(orgId, device.networkId);
+                    networkName = network.name;
                 }
+
+                results.push({
+                    device,
+                    organizationId: orgId,
+                    organizationName: organization.name,
+                    networkId: device.networkId || null,
+                    networkName
+                });
             } catch (error) {
                 console.warn(`Could not search organization ${orgId}:`, error.message);
                 continue;
@@ -590,11 +2190,10 @@ class MerakiAPI {
         try {
             // Try to get info from the first organization
             const [firstOrgId] = this.organizations.keys();
-            const client = this.getClient(firstOrgId);
-            const response = await client.get(`/organizations/${firstOrgId}`);
+            const organization = await this.getOrganization(firstOrgId);
             return {
                 success: true,
-                organization: response.data
+                organization
             };
         } catch (error) {
             return {
@@ -611,9 +2210,8 @@ class MerakiAPI {
             
             for (const [orgId, apiKey] of this.organizations) {
                 try {
-                    const client = this.getClient(orgId);
-                    const response = await client.get(`/organizations/${orgId}/networks`);
-                    const orgNetworks = response.data.map(network => ({
+                    const networks = await this.getOrganizationNetworks(orgId);
+                    const orgNetworks = networks.map(network => ({
                         ...network,
                         organizationId: orgId
                     }));
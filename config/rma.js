@@ -0,0 +1,59 @@
+/**
+ * @module meraki_ap_rma
+ * @author Eric Schriver <eschrive@cisco.com>
+ * @copyright Copyright (c) 2025 Cisco and/or its affiliates.
+ * @license Cisco Sample Code License, Version 1.1
+ */
+
+/**
+ * @license
+ * Copyright (c) 2025 Cisco and/or its affiliates.
+ *
+ * This software is licensed to you under the terms of the Cisco Sample
+ * Code License, Version 1.1 (the "License"). You may obtain a copy of the
+ * License at
+ *
+ *                https://developer.cisco.com/docs/licenses
+ *
+ * All use of the material herein must be in accordance with the terms of
+ * the License. All rights not expressly granted by the License are
+ * reserved. Unless required by applicable law or agreed to separately in
+ * writing, software distributed under the License is distributed on an "AS
+ * IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied.
+ */
+
+
+// RMA case details recorded with a replacement, and the lifecycle of the failed unit's return.
+// The lifecycle starts when a replacement completes and moves forward as the unit is shipped back.
+
+const RMA_FIELDS = ['caseNumber', 'ticketId', 'trackingNumber'];
+
+const RMA_STATUSES = [
+    { key: 'replaced', label: 'Replaced' },
+    { key: 'shipped', label: 'Failed unit shipped' },
+    { key: 'closed', label: 'Closed' }
+];
+
+const RMA_STATUS_KEYS = RMA_STATUSES.map(status => status.key);
+
+// The RMA record for an operation: every field present, blank fields as null
+const buildRmaRecord = (details = {}, status = null) => {
+    const record = {};
+    for (const field of RMA_FIELDS) {
+        const value = typeof details?.[field] === 'string' ? details[field].trim() : '';
+        record[field] = value || null;
+    }
+    record.status = status;
+    return record;
+};
+
+const rmaStatusLabel = (key) => RMA_STATUSES.find(status => status.key === key)?.label || key;
+
+module.exports = {
+    RMA_FIELDS,
+    RMA_STATUSES,
+    RMA_STATUS_KEYS,
+    buildRmaRecord,
+    rmaStatusLabel
+};
@@ -0,0 +1,90 @@
+/**
+ * @module meraki_ap_rma
+ * @author Eric Schriver <eschrive@cisco.com>
+ * @copyright Copyright (c) 2025 Cisco and/or its affiliates.
+ * @license Cisco Sample Code License, Version 1.1
+ */
+
+/**
+ * @license
+ * Copyright (c) 2025 Cisco and/or its affiliates.
+ *
+ * This software is licensed to you under the terms of the Cisco Sample
+ * Code License, Version 1.1 (the "License"). You may obtain a copy of the
+ * License at
+ *
+ *                https://developer.cisco.com/docs/licenses
+ *
+ * All use of the material herein must be in accordance with the terms of
+ * the License. All rights not expressly granted by the License are
+ * reserved. Unless required by applicable law or agreed to separately in
+ * writing, software distributed under the License is distributed on an "AS
+ * IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied.
+ */
+
+
+// Switch-specific helpers: writable routing fields and the port mapping between switch models
+
+const { describeModel } = require('./compatibility');
+
+// Fields the create/update calls accept for layer 3 interfaces, their DHCP settings and static routes
+const ROUTING_INTERFACE_FIELDS = [
+    'name', 'subnet', 'interfaceIp', 'multicastRouting', 'vlanId', 'defaultGateway', 'ospfSettings', 'ipv6'
+];
+const ROUTING_DHCP_FIELDS = [
+    'dhcpMode', 'dhcpRelayServerIps', 'dhcpLeaseTime', 'dnsNameserversOption', 'dnsCustomNameservers',
+    'bootOptionsEnabled', 'bootNextServer', 'bootFileName', 'dhcpOptions', 'reservedIpRanges', 'fixedIpAssignments'
+];
+const STATIC_ROUTE_FIELDS = ['name', 'subnet', 'nextHopIp', 'advertiseViaOspfEnabled', 'preferOverOspfRoutesEnabled'];
+
+const pickFields = (value, fields) => {
+    const picked = {};
+    for (const field of fields) {
+        if (value?.[field] !== undefined) {
+            picked[field] = value[field];
+        }
+    }
+    return picked;
+};
+
+// Where each port of the failed switch goes on the replacement. Access ports keep their number;
+// uplink ports (numbered after the access ports) move to the replacement's uplinks in order.
+// Returns [{ sourcePort, targetPort, role, note }]; targetPort is null when the port has nowhere to go.
+const mapSwitchPorts = (ports, sourceModel, targetModel) => {
+    const source = describeModel(sourceModel, 'switch');
+    const target = describeModel(targetModel, 'switch');
+    const numbered = ports.every(port => /^\d+$/.test(String(port.portId)));
+
+    return ports.map(port => {
+        const sourcePort = String(port.portId);
+
+        if (!numbered || !source.portCount || !target.portCount || source.model === target.model) {
+            return { sourcePort, targetPort: sourcePort, role: 'port', note: null };
+        }
+
+        const number = parseInt(sourcePort, 10);
+        if (number <= source.portCount) {
+            return number <= target.portCount
+                ? { sourcePort, targetPort: sourcePort, role: 'access', note: null }
+                : { sourcePort, targetPort: null, role: 'access', note: `${target.model} has ${target.portCount} access ports` };
+        }
+
+        const uplink = number - source.portCount;
+        const targetPort = String(target.portCount + uplink);
+        return {
+            sourcePort,
+            targetPort,
+            role: 'uplink',
+            note: targetPort === sourcePort ? null : `Uplink ${uplink} moves from port ${sourcePort} to port ${targetPort}`
+        };
+    });
+};
+
+module.exports = {
+    ROUTING_INTERFACE_FIELDS,
+    ROUTING_DHCP_FIELDS,
+    STATIC_ROUTE_FIELDS,
+    pickFields,
+    mapSwitchPorts
+};
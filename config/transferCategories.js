@@ -0,0 +1,70 @@
+/**
+ * @module meraki_ap_rma
+ * @author Eric Schriver <eschrive@cisco.com>
+ * @copyright Copyright (c) 2025 Cisco and/or its affiliates.
+ * @license Cisco Sample Code License, Version 1.1
+ */
+
+/**
+ * @license
+ * Copyright (c) 2025 Cisco and/or its affiliates.
+ *
+ * This software is licensed to you under the terms of the Cisco Sample
+ * Code License, Version 1.1 (the "License"). You may obtain a copy of the
+ * License at
+ *
+ *                https://developer.cisco.com/docs/licenses
+ *
+ * All use of the material herein must be in accordance with the terms of
+ * the License. All rights not expressly granted by the License are
+ * reserved. Unless required by applicable law or agreed to separately in
+ * writing, software distributed under the License is distributed on an "AS
+ * IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied.
+ */
+
+
+// What a replacement can carry over, as categories the operator can pick from.
+// Device record categories list the record fields they cover; the others cover a part of the
+// captured configuration (see getDeviceConfiguration).
+
+const TRANSFER_CATEGORIES = [
+    { key: 'name', label: 'Hostname', fields: ['name'] },
+    { key: 'tags', label: 'Tags', fields: ['tags'] },
+    { key: 'location', label: 'Address and coordinates', fields: ['address', 'lat', 'lng'] },
+    { key: 'floorPlan', label: 'Floor plan placement', fields: ['floorPlanId'] },
+    { key: 'notes', label: 'Notes and replacement note', fields: ['notes'] },
+    { key: 'radio', label: 'Wireless radio settings' },
+    { key: 'switchPorts', label: 'Switch port settings' },
+    { key: 'switchRouting', label: 'Switch layer 3 interfaces, DHCP and static routes' },
+    { key: 'managementInterface', label: 'Management interface' },
+    { key: 'deviceSettings', label: 'Other model-specific settings (BLE, appliance, camera, sensor)' }
+];
+
+const CATEGORY_KEYS = TRANSFER_CATEGORIES.map(category => category.key);
+
+// The captured configuration without the parts the categories leave out. Device record fields
+// are left to buildDeviceConfig, which also decides about the replacement note.
+const selectTransfer = (source, categories = CATEGORY_KEYS) => {
+    const selected = new Set(categories);
+    const settings = {};
+    for (const [key, value] of Object.entries(source.settings || {})) {
+        if (selected.has(key === 'managementInterface' ? 'managementInterface' : 'deviceSettings')) {
+            settings[key] = value;
+        }
+    }
+
+    return {
+        ...source,
+        radioSettings: selected.has('radio') ? source.radioSettings : null,
+        switchPorts: selected.has('switchPorts') ? source.switchPorts : null,
+        switchRouting: selected.has('switchRouting') ? source.switchRouting : null,
+        settings
+    };
+};
+
+module.exports = {
+    TRANSFER_CATEGORIES,
+    CATEGORY_KEYS,
+    selectTransfer
+};
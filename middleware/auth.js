@@ -24,21 +24,84 @@
  */
 
 
-// Authentication middleware (placeholder for future implementation)
+const { PermissionStore, ROLES } = require('../auth/permissions');
+
+const permissions = new PermissionStore({
+    usersFile: process.env.AUTH_USERS_FILE
+});
+
+// Authentication middleware: requires a logged-in session user.
+// API requests get a 401, page requests are sent to the login page.
 const authenticate = (req, res, next) => {
-    // For now, just pass through
-    // In the future, you can add actual authentication logic here
-    next();
+    if (req.session?.user) {
+        req.user = req.session.user;
+        req.access = permissions.forUser(req.user);
+        return next();
+    }
+
+    if (req.originalUrl.startsWith('/api/')) {
+        return res.status(401).json({
+            success: false,
+            message: 'Authentication required'
+        });
+    }
+
+    res.redirect(`/login.html?returnTo=${encodeURIComponent(req.originalUrl)}`);
 };
 
+// Requires the user to hold one of the roles (or a higher one) on at least one
+// organization or network. Routes still check the specific org/network they act on.
 const authorize = (roles = []) => {
+    const required = [].concat(roles);
+    const unknown = required.filter(role => !ROLES.includes(role));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown role(s): ${unknown.join(', ')}`);
+    }
+
     return (req, res, next) => {
-        // Authorization logic would go here
-        next();
+        if (required.length === 0 || required.some(role => req.access?.hasRole(role))) {
+            return next();
+        }
+
+        res.status(403).json({
+            success: false,
+            message: `Requires the ${required.join(' or ')} role`
+        });
     };
 };
 
+// 403 response for a request outside the user's granted organizations and networks
+const forbidden = (res, action) => {
+    return res.status(403).json({
+        success: false,
+        message: `You are not permitted to ${action} in this network`
+    });
+};
+
+// A device validation as the user may see it. Outside the organizations and networks where the user
+// holds `role`, success and failure alike become the same generic answer, so probing serials reveals
+// neither which devices exist nor the names of networks the user cannot see.
+const scopedValidation = (access, role, validation) => {
+    const notPermitted = { success: false, message: 'Device not found or not permitted' };
+
+    if (!validation.organizationId) {
+        const searched = validation.searchedOrganizationIds || [];
+        return !validation.success && searched.length > 0 && searched.every(organizationId => access.can(role, organizationId))
+            ? validation
+            : notPermitted;
+    }
+    if (!access.can(role, validation.organizationId, validation.networkId)) {
+        return notPermitted;
+    }
+    if (validation.claimedNetworkId && !access.can('viewer', validation.organizationId, validation.claimedNetworkId)) {
+        return { ...validation, message: 'Replacement device is already claimed by another network' };
+    }
+    return validation;
+};
+
 module.exports = {
     authenticate,
-    authorize
-};
\ No newline at end of file
+    authorize,
+    forbidden,
+    scopedValidation
+};
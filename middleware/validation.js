@@ -24,7 +24,95 @@
  */
 
 
-const { validationResult } = require('express-validator');
+const { body, validationResult } = require('express-validator');
+const { CATEGORY_KEYS } = require('../config/transferCategories');
+const { checkTemplates } = require('../utils/templates');
+const { RMA_FIELDS } = require('../config/rma');
+
+// Meraki serial numbers: XXXX-XXXX-XXXX
+const SERIAL_PATTERN = /^[A-Z0-9]{4}-[A-Z0-9]{4}-[A-Z0-9]{4}$/i;
+
+// RMA case numbers, ticket IDs and tracking numbers
+const RMA_VALUE_PATTERN = /^[\w ./#-]{0,64}$/;
+const RMA_VALUE_MESSAGE = 'RMA case numbers, ticket IDs and tracking numbers are up to 64 letters, digits, spaces, dots, slashes, dashes or #';
+
+// Validation middleware for serial numbers
+const serialValidation = [
+    body('failedSerial')
+        .trim()
+        .matches(SERIAL_PATTERN)
+        .withMessage('Invalid failed device serial format (should be XXXX-XXXX-XXXX)'),
+    body('replacementSerial')
+        .trim()
+        .matches(SERIAL_PATTERN)
+        .withMessage('Invalid replacement device serial format (should be XXXX-XXXX-XXXX)')
+];
+
+// Reason given when replacing a "failed" device that still reports online
+const overrideValidation = [
+    body('overrideReason')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ min: 5, max: 500 })
+        .withMessage('overrideReason must be between 5 and 500 characters')
+];
+
+// Optional release of the failed device from organization inventory, and its separate confirmation
+const releaseValidation = [
+    body(['releaseFromInventory', 'releaseConfirmed'])
+        .optional()
+        .isBoolean()
+        .withMessage('releaseFromInventory and releaseConfirmed must be booleans')
+        .toBoolean(true)
+];
+
+// Naming templates: an object with hostname, notes and/or tags (see utils/templates.js)
+const templateValidation = (field) => body(field)
+    .optional({ values: 'null' })
+    .custom(value => {
+        const problems = checkTemplates(value);
+        if (problems.length > 0) {
+            throw new Error(problems.join('; '));
+        }
+        return true;
+    });
+
+// Which categories a replacement transfers and how it is named: an explicit list and/or a saved profile name,
+// plus templates overriding the profile's
+const transferValidation = [
+    body('transfer')
+        .optional()
+        .isArray({ min: 1 })
+        .withMessage('transfer must be a non-empty list of categories'),
+    body('transfer.*')
+        .isIn(CATEGORY_KEYS)
+        .withMessage(`transfer categories must be among: ${CATEGORY_KEYS.join(', ')}`),
+    body('profile')
+        .optional({ values: 'falsy' })
+        .isString()
+        .trim()
+        .matches(/^[\w .-]{1,50}$/)
+        .withMessage('profile must be a saved profile name'),
+    templateValidation('templates')
+];
+
+// RMA case number, ticket ID and return tracking number (blank clears a field)
+const rmaFieldValidation = (fields) => body(fields)
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .matches(RMA_VALUE_PATTERN)
+    .withMessage(RMA_VALUE_MESSAGE);
+
+// RMA case details sent with a replacement as rma: { caseNumber, ticketId, trackingNumber }
+const rmaValidation = [
+    body('rma')
+        .optional({ values: 'null' })
+        .isObject()
+        .withMessage(`rma must be an object with ${RMA_FIELDS.join(', ')}`),
+    rmaFieldValidation(RMA_FIELDS.map(field => `rma.${field}`))
+];
 
 // Error handling middleware
 const errorHandler = (err, req, res, next) => {
@@ -69,6 +157,16 @@ const checkValidationResult = (req, res, next) => {
 };
 
 module.exports = {
+    SERIAL_PATTERN,
+    RMA_VALUE_PATTERN,
+    RMA_VALUE_MESSAGE,
     errorHandler,
-    checkValidationResult
+    checkValidationResult,
+    serialValidation,
+    overrideValidation,
+    transferValidation,
+    templateValidation,
+    rmaValidation,
+    rmaFieldValidation,
+    releaseValidation
 };
\ No newline at end of file
@@ -24,6 +24,8 @@
  */
 
 
+const JOB_STORAGE_KEY = 'merakiReplacementJobId';
+
 class MerakiReplacementPortal {
     constructor() {
         this.apiBaseUrl = '/api';
@@ -32,9 +34,19 @@ class MerakiReplacementPortal {
             replacementSerial: false
         };
         this.organizations = [];
+        this.bulkRows = [];
+        this.bulkResultsCsv = null;
+        this.historyPage = 1;
+        this.replacementCheck = null;
+        this.transferCategories = [];
+        this.transferProfiles = [];
         this.initializeEventListeners();
+        this.loadCurrentUser();
         this.checkAPIHealth();
         this.loadOrganizations();
+        this.loadTransferProfiles();
+        this.resumeActiveJob();
+        this.loadHistory();
     }
     
     initializeEventListeners() {
@@ -43,17 +55,122 @@ class MerakiReplacementPortal {
         
         // Button clicks
         document.getElementById('validateBtn').addEventListener('click', () => this.validateDevices());
+        document.getElementById('previewBtn').addEventListener('click', () => this.previewReplacement());
+        document.getElementById('refreshOrgsBtn').addEventListener('click', () => this.refreshOrganizations());
+        document.getElementById('logoutBtn').addEventListener('click', () => this.logout());
         
         // Real-time serial validation
         document.getElementById('failedSerial').addEventListener('input', (e) => this.handleSerialInput(e, 'failed'));
         document.getElementById('replacementSerial').addEventListener('input', (e) => this.handleSerialInput(e, 'replacement'));
         
+        // Override for a failed device that still reports online
+        document.getElementById('onlineOverrideConfirm').addEventListener('change', (e) => {
+            document.getElementById('onlineOverrideReason').disabled = !e.target.checked;
+            this.updateReplaceButton();
+        });
+        document.getElementById('onlineOverrideReason').addEventListener('input', () => this.updateReplaceButton());
+        
+        // Transfer categories and saved profiles
+        document.getElementById('transferProfile').addEventListener('change', (e) => this.selectTransferProfile(e.target.value));
+        document.getElementById('transferCategories').addEventListener('change', () => this.updateTransferSummary());
+        document.getElementById('namingTemplates').addEventListener('input', () => this.updateTransferSummary());
+        document.getElementById('saveProfileBtn').addEventListener('click', () => this.saveTransferProfile());
+        document.getElementById('deleteProfileBtn').addEventListener('click', () => this.deleteTransferProfile());
+        
+        // Bulk CSV replacement
+        document.getElementById('bulkCsvFile').addEventListener('change', (e) => {
+            document.getElementById('bulkValidateBtn').disabled = e.target.files.length === 0;
+        });
+        document.getElementById('bulkValidateBtn').addEventListener('click', () => this.validateBulkCsv());
+        document.getElementById('bulkReplaceBtn').addEventListener('click', () => this.replaceBulkRows());
+        document.getElementById('bulkDownloadBtn').addEventListener('click', () => this.downloadBulkResults());
+        document.getElementById('bulkSelectAll').addEventListener('change', (e) => {
+            document.querySelectorAll('.bulk-row-select:not(:disabled)').forEach(box => box.checked = e.target.checked);
+            this.updateBulkReplaceButton();
+        });
+        document.getElementById('bulkTableBody').addEventListener('change', () => this.updateBulkReplaceButton());
+        
+        // Configuration bundles
+        document.getElementById('bundleExportBtn').addEventListener('click', () => this.exportBundle());
+        document.getElementById('bundleImportBtn').addEventListener('click', () => this.importBundle());
+        
+        // Replacement history
+        document.getElementById('historyForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.loadHistory(1);
+        });
+        document.getElementById('historyPrevBtn').addEventListener('click', () => this.loadHistory(this.historyPage - 1));
+        document.getElementById('historyNextBtn').addEventListener('click', () => this.loadHistory(this.historyPage + 1));
+        document.getElementById('historyTableBody').addEventListener('click', (e) => {
+            const button = e.target.closest('.snapshot-restore-btn');
+            if (button) {
+                this.restoreSnapshot(button.dataset.snapshotId, button.dataset.serial);
+            }
+            const verifyButton = e.target.closest('.verify-operation-btn');
+            if (verifyButton) {
+                this.verifyOperation(verifyButton.dataset.operationId, verifyButton);
+            }
+            const rmaButton = e.target.closest('.rma-save-btn');
+            if (rmaButton) {
+                this.updateRma(rmaButton);
+            }
+        });
+        
         // Format serial numbers as user types
-        ['failedSerial', 'replacementSerial'].forEach(id => {
+        ['failedSerial', 'replacementSerial', 'historySerial', 'bundleExportSerial', 'bundleImportSerial'].forEach(id => {
             document.getElementById(id).addEventListener('keyup', this.formatSerialNumber);
         });
     }
     
+    // fetch() wrapper that sends the user back to the login page when the session has expired
+    async apiFetch(url, options = {}) {
+        const response = await fetch(url, options);
+        if (response.status === 401) {
+            window.location.href = `/login.html?returnTo=${encodeURIComponent(window.location.pathname)}`;
+            throw new Error('Session expired, please sign in again');
+        }
+        return response;
+    }
+    
+    async loadCurrentUser() {
+        try {
+            const response = await this.apiFetch(`${this.apiBaseUrl}/auth/me`);
+            const result = await response.json();
+            
+            if (result.success) {
+                this.currentUser = result.user;
+                this.currentGrants = result.grants || [];
+                document.getElementById('currentUserName').textContent = result.user.displayName || result.user.username;
+                document.getElementById('currentUserAccess').textContent = this.describeGrants(this.currentGrants);
+                document.getElementById('userBar').style.display = 'flex';
+            }
+        } catch (error) {
+            console.error('Could not load current user:', error);
+        }
+    }
+    
+    // Short summary of the user's roles, e.g. "(replacer: org 123456; viewer: network L_1)"
+    describeGrants(grants) {
+        if (grants.length === 0) {
+            return '(no access granted)';
+        }
+        
+        const scopes = grants.map(grant => {
+            const scope = grant.organizationId === '*' ? 'all organizations'
+                : grant.organizationId ? `org ${grant.organizationId}` : `network ${grant.networkId}`;
+            return `${grant.role}: ${scope}`;
+        });
+        return `(${scopes.join('; ')})`;
+    }
+    
+    async logout() {
+        try {
+            await fetch(`${this.apiBaseUrl}/auth/logout`, { method: 'POST' });
+        } finally {
+            window.location.href = '/login.html';
+        }
+    }
+    
     formatSerialNumber(event) {
         let value = event.target.value.replace(/[^A-Za-z0-9]/g, '').toUpperCase();
         
@@ -88,17 +205,50 @@ class MerakiReplacementPortal {
     
     updateButtonStates() {
         const validateBtn = document.getElementById('validateBtn');
-        const replaceBtn = document.getElementById('replaceBtn');
         
         const bothValid = this.validationState.failedSerial && this.validationState.replacementSerial;
         
         validateBtn.disabled = !bothValid;
-        // Replace button is enabled only after successful validation
+        // Preview and Replace buttons are enabled only after successful validation
+        this.replacementCheck = null;
+        document.getElementById('previewBtn').disabled = true;
+        document.getElementById('replaceBtn').disabled = true;
+        document.getElementById('previewSection').style.display = 'none';
+    }
+    
+    // Replace stays disabled while the pair is blocked, or the failed device is online (or of unknown status) without a confirmed override
+    updateReplaceButton() {
+        const check = this.replacementCheck;
+        const reason = document.getElementById('onlineOverrideReason').value.trim();
+        const overrideConfirmed = document.getElementById('onlineOverrideConfirm').checked && reason.length >= 5;
+        
+        const nothingToTransfer = this.transferCategories.length > 0 && this.getCheckedCategories().length === 0;
+        
+        document.getElementById('replaceBtn').disabled = !check || check.blocked ||
+            (check.needsOverride && !overrideConfirmed) || nothingToTransfer;
+    }
+    
+    getOverrideReason() {
+        if (!this.replacementCheck || !this.replacementCheck.needsOverride) {
+            return null;
+        }
+        return document.getElementById('onlineOverrideReason').value.trim() || null;
+    }
+    
+    showOnlineOverride(result) {
+        const needsOverride = !!(result.failedDeviceOnline || result.failedDeviceStatusUnknown);
+        document.getElementById('onlineOverrideSection').style.display = needsOverride ? 'block' : 'none';
+        document.getElementById('onlineOverrideMessage').innerHTML = result.failedDeviceOnline
+            ? '<strong>⚠️ The failed device is currently online.</strong> Check that you entered the right serial. Replacing it removes a working device from the network.'
+            : '<strong>⚠️ The status of the failed device could not be read.</strong> Check in Dashboard that it is offline before replacing it.';
+        document.getElementById('onlineOverrideConfirm').checked = false;
+        document.getElementById('onlineOverrideReason').value = '';
+        document.getElementById('onlineOverrideReason').disabled = true;
     }
     
     async checkAPIHealth() {
         try {
-            const response = await fetch(`${this.apiBaseUrl}/health`);
+            const response = await this.apiFetch(`${this.apiBaseUrl}/health`);
             const result = await response.json();
             
             if (result.success) {
@@ -130,7 +280,7 @@ class MerakiReplacementPortal {
     
     async loadOrganizations() {
         try {
-            const response = await fetch(`${this.apiBaseUrl}/organizations`);
+            const response = await this.apiFetch(`${this.apiBaseUrl}/organizations`);
             const result = await response.json();
             
             if (result.success) {
@@ -146,6 +296,31 @@ class MerakiReplacementPortal {
         }
     }
     
+    async refreshOrganizations() {
+        this.setButtonLoading('refreshOrgsBtn', true);
+        
+        try {
+            const response = await this.apiFetch(`${this.apiBaseUrl}/cache/refresh`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({})
+            });
+            const result = await response.json();
+            
+            if (result.success) {
+                this.organizations = result.organizations;
+                this.displayOrganizations(result.organizations);
+            } else {
+                this.displayOrganizationError();
+            }
+        } catch (error) {
+            console.error('Error refreshing organizations:', error);
+            this.displayOrganizationError();
+        } finally {
+            this.setButtonLoading('refreshOrgsBtn', false);
+        }
+    }
+    
     // Update the displayOrganizations method to show API key info
 displayOrganizations(organizations) {
     const organizationsList = document.getElementById('organizationsList');
@@ -231,7 +406,7 @@ displayOrganizations(organizations) {
         this.showProgress('Validating devices across organizations...', 25);
         
         try {
-            const response = await fetch(`${this.apiBaseUrl}/validate-devices`, {
+            const response = await this.apiFetch(`${this.apiBaseUrl}/validate-devices`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({ failedSerial, replacementSerial })
@@ -241,13 +416,36 @@ displayOrganizations(organizations) {
             
             if (result.success) {
                 this.displayDeviceInformation(result.devices, result.organizationName);
-                document.getElementById('replaceBtn').disabled = false;
-                this.showAlert(
-                    `✅ Devices validated successfully in organization: <strong>${result.organizationName}</strong>! Ready for replacement.`, 
-                    'success'
-                );
+                this.displayCompatibility(result.compatibility);
+                this.showOnlineOverride(result);
+                
+                // Blocked pairs can be previewed but not replaced
+                const blocked = result.compatibility && result.compatibility.errors.length > 0;
+                this.replacementCheck = {
+                    blocked,
+                    needsOverride: !!(result.failedDeviceOnline || result.failedDeviceStatusUnknown),
+                    organizationName: result.organizationName
+                };
+                // The organization decides whether failed devices are released by default
+                document.getElementById('releaseFromInventory').checked = !!result.releaseFromInventory;
+                document.getElementById('previewBtn').disabled = false;
+                this.updateReplaceButton();
+                if (blocked) {
+                    this.showAlert('⛔ The replacement device is not compatible with the failed device. See the compatibility check below.', 'danger');
+                } else if (result.failedDeviceOnline) {
+                    this.showAlert('⚠️ The failed device is currently online. Confirm the override with a reason to replace it.', 'warning');
+                } else if (result.failedDeviceStatusUnknown) {
+                    this.showAlert('⚠️ The status of the failed device could not be read. Confirm the override with a reason to replace it.', 'warning');
+                } else {
+                    this.showAlert(
+                        `✅ Devices validated successfully in organization: <strong>${result.organizationName}</strong>! Ready for replacement.`, 
+                        'success'
+                    );
+                }
             } else {
                 this.showAlert(`❌ Validation failed: ${result.message}`, 'danger');
+                this.replacementCheck = null;
+                document.getElementById('previewBtn').disabled = true;
                 document.getElementById('replaceBtn').disabled = true;
             }
         } catch (error) {
@@ -264,53 +462,169 @@ displayOrganizations(organizations) {
         
         const failedSerial = document.getElementById('failedSerial').value.trim().toUpperCase();
         const replacementSerial = document.getElementById('replacementSerial').value.trim().toUpperCase();
+        const overrideReason = this.getOverrideReason();
+        const verify = document.getElementById('verifyAfterReplace').checked;
         
         // Confirmation dialog
         if (!confirm(`⚠️ CONFIRMATION REQUIRED\n\nThis will:\n• Remove ${failedSerial} from the network\n• Add ${replacementSerial} with copied settings\n\nProceed with replacement?`)) {
             return;
         }
         
-        this.setButtonLoading('replaceBtn', true);
-        document.getElementById('validateBtn').disabled = true;
+        // Releasing cannot be undone, so it is confirmed on its own
+        const releaseFromInventory = document.getElementById('releaseFromInventory').checked;
+        const organizationName = this.replacementCheck?.organizationName || 'the organization';
+        if (releaseFromInventory && !confirm(`⚠️ RELEASE FROM INVENTORY\n\n${failedSerial} will also be released from the inventory of ${organizationName} after it is removed. It stops counting against licensing, and this cannot be undone from the portal.\n\nRelease ${failedSerial}?`)) {
+            return;
+        }
         
+        this.setJobRunning(true);
         this.showProgress('Starting multi-organization replacement process...', 0);
         
         try {
-            const response = await fetch(`${this.apiBaseUrl}/replace-device`, {
+            const response = await this.apiFetch(`${this.apiBaseUrl}/jobs`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ failedSerial, replacementSerial })
+                body: JSON.stringify({
+                    failedSerial,
+                    replacementSerial,
+                    verify,
+                    ...(overrideReason ? { overrideReason } : {}),
+                    releaseFromInventory,
+                    ...(releaseFromInventory ? { releaseConfirmed: true } : {}),
+                    ...this.getRmaSelection(),
+                    ...this.getTransferSelection()
+                })
             });
             
             const result = await response.json();
             
             if (result.success) {
-                this.showOperationSteps(result.operations);
-                this.showAlert('🎉 Access point replacement completed successfully!', 'success');
-                
-                // Show summary if available
-                if (result.summary) {
-                    this.showReplacementSummary(result.summary);
-                }
-                
-                // Auto-reset form after successful replacement
-                setTimeout(() => this.resetForm(), 5000);
+                // Remember the job so a browser refresh resumes the same view
+                localStorage.setItem(JOB_STORAGE_KEY, result.jobId);
+                this.followJob(result.jobId);
             } else {
                 this.showAlert(`❌ Replacement failed: ${result.message}`, 'danger');
-                if (result.operations) {
-                    this.showOperationSteps(result.operations);
-                }
+                this.setJobRunning(false);
+                this.hideProgress();
             }
         } catch (error) {
             console.error('Replacement error:', error);
             this.showAlert(`❌ Error during replacement: ${error.message}`, 'danger');
-        } finally {
-            this.setButtonLoading('replaceBtn', false);
-            document.getElementById('validateBtn').disabled = false;
+            this.setJobRunning(false);
+            this.hideProgress();
+        }
+    }
+    
+    async resumeActiveJob() {
+        const jobId = localStorage.getItem(JOB_STORAGE_KEY);
+        if (!jobId) {
+            return;
+        }
+        
+        try {
+            const response = await this.apiFetch(`${this.apiBaseUrl}/jobs/${jobId}`);
+            const result = await response.json();
+            
+            if (!result.success) {
+                localStorage.removeItem(JOB_STORAGE_KEY);
+                return;
+            }
+            
+            document.getElementById('failedSerial').value = result.job.failedSerial;
+            document.getElementById('replacementSerial').value = result.job.replacementSerial;
+            this.setJobRunning(true);
+            this.renderJob(result.job);
+            this.followJob(jobId);
+        } catch (error) {
+            console.error('Could not resume replacement job:', error);
+        }
+    }
+    
+    followJob(jobId) {
+        const events = new EventSource(`${this.apiBaseUrl}/jobs/${jobId}/events`);
+        
+        events.onmessage = (event) => {
+            const job = JSON.parse(event.data);
+            this.renderJob(job);
+            
+            if (job.status === 'completed' || job.status === 'failed') {
+                events.close();
+                this.finishJob(job);
+            }
+        };
+        
+        events.onerror = () => {
+            // The browser retries dropped streams by itself; a closed stream means the job is gone
+            if (events.readyState === EventSource.CLOSED) {
+                localStorage.removeItem(JOB_STORAGE_KEY);
+                this.showAlert('❌ Lost track of the replacement job. Check the operations log for its outcome.', 'danger');
+                this.setJobRunning(false);
+            }
+        };
+    }
+    
+    renderJob(job) {
+        if (job.operations && job.operations.length > 0) {
+            this.showOperationSteps(job.operations, job.totalSteps);
+            if (job.phase === 'verifying' && job.status === 'running') {
+                document.getElementById('progressSteps').innerHTML +=
+                    `<div class="step-item step-in-progress">🔎 Verifying: ${this.escapeHtml(job.progress || 'starting')}</div>`;
+            }
+        } else if (job.status === 'queued' || job.phase === 'validating') {
+            this.showProgress('Validating devices across organizations...', 0);
+        }
+    }
+    
+    finishJob(job) {
+        localStorage.removeItem(JOB_STORAGE_KEY);
+        this.setJobRunning(false);
+        this.loadHistory(1);
+        
+        const result = job.result || { success: false, message: job.error };
+        
+        if (result.success && result.auditError) {
+            // The operator must see the audit failure before (and alongside) the success
+            this.showAlert(`⚠️ ${result.auditError}<br>🎉 Access point replacement completed successfully.`, 'warning');
+            
+            if (result.summary) {
+                this.showReplacementSummary(result.summary);
+            }
+            this.showVerificationReport(result);
+        } else if (result.success) {
+            this.showAlert('🎉 Access point replacement completed successfully!', 'success');
+            
+            // Show summary if available
+            if (result.summary) {
+                this.showReplacementSummary(result.summary);
+            }
+            this.showVerificationReport(result);
+            
+            // Auto-reset form after a successful replacement, unless the verification needs a look
+            if (!result.verificationMessage || (result.verification && result.verification.passed)) {
+                setTimeout(() => this.resetForm(), 5000);
+            }
+        } else {
+            let rollbackMessage = '';
+            if (result.rolledBack === true) {
+                rollbackMessage = '<br>↩️ All completed changes were rolled back; the failed device was left in place.';
+            } else if (result.rolledBack === false) {
+                rollbackMessage = '<br>⚠️ Rollback was incomplete. Review the operation steps before retrying.';
+            }
+            const auditMessage = result.auditError ? `<br>⚠️ ${result.auditError}` : '';
+            this.showAlert(`❌ Replacement failed: ${result.message}${rollbackMessage}${auditMessage}`, 'danger');
             this.hideProgress();
         }
     }
     
+    setJobRunning(isRunning) {
+        this.setButtonLoading('replaceBtn', isRunning);
+        document.getElementById('validateBtn').disabled = isRunning;
+        document.getElementById('previewBtn').disabled = true;
+        if (!isRunning) {
+            document.getElementById('replaceBtn').disabled = true;
+        }
+    }
+    
     displayDeviceInformation(devices, organizationName) {
         const failedInfo = document.getElementById('failedDeviceInfo');
         const replacementInfo = document.getElementById('replacementDeviceInfo');
@@ -334,7 +648,14 @@ displayOrganizations(organizations) {
             </div>
             <div class="device-info-item">
                 <span class="device-info-label">Status:</span> 
-                <span class="badge bg-danger">Offline/Failed</span>
+                ${this.statusBadge(devices.failed.status)}
+            </div>
+            <div class="device-info-item">
+                <span class="device-info-label">Last reported:</span> 
+                ${devices.failed.lastReportedAt ? new Date(devices.failed.lastReportedAt).toLocaleString() : 'Never'}
+            </div>
+            <div class="device-info-item">
+                <span class="device-info-label">LAN IP:</span> ${this.escapeHtml(devices.failed.lanIp || 'Unknown')}
             </div>
             <div class="device-info-item">
                 <span class="device-info-label">Location:</span> ${devices.failed.address || 'Not set'}
@@ -369,16 +690,1025 @@ displayOrganizations(organizations) {
             </div>
             <div class="device-info-item">
                 <span class="device-info-label">Configuration:</span> 
-                Exact copy from failed device
+                Exact copy from failed device (use Preview Changes for the full diff)
             </div>
         `;
         
         document.getElementById('deviceInfoSection').style.display = 'block';
     }
     
-    showOperationSteps(operations) {
+    statusBadge(status) {
+        const classes = {
+            online: 'bg-success',
+            alerting: 'bg-warning text-dark',
+            offline: 'bg-danger',
+            dormant: 'bg-secondary'
+        };
+        const label = status ? status.charAt(0).toUpperCase() + status.slice(1) : 'Unknown';
+        return `<span class="badge ${classes[status] || 'bg-secondary'}">${this.escapeHtml(label)}</span>`;
+    }
+    
+    displayCompatibility(compatibility) {
+        const container = document.getElementById('compatibilityInfo');
+        if (!compatibility) {
+            container.innerHTML = '';
+            return;
+        }
+        
+        const list = (items) => `<ul class="mb-0">${items.map(item => `<li>${this.escapeHtml(item)}</li>`).join('')}</ul>`;
+        let html = '';
+        
+        if (compatibility.errors.length > 0) {
+            html += `<div class="alert alert-danger"><strong>⛔ Incompatible hardware:</strong>${list(compatibility.errors)}</div>`;
+        }
+        if (compatibility.warnings.length > 0) {
+            html += `<div class="alert alert-warning"><strong>⚠️ Compatibility warnings:</strong>${list(compatibility.warnings)}</div>`;
+        }
+        if (compatibility.nonTransferable.length > 0) {
+            html += `<div class="alert alert-secondary"><strong>🚫 Settings that will not carry over:</strong>${list(compatibility.nonTransferable)}</div>`;
+        }
+        if (!html) {
+            html = `<div class="alert alert-success"><strong>✅ Compatible hardware:</strong> ${this.escapeHtml(compatibility.failed.model || '')} → ${this.escapeHtml(compatibility.replacement.model || '')}</div>`;
+        }
+        
+        container.innerHTML = html;
+    }
+    
+    async loadTransferProfiles(selected = '') {
+        try {
+            const response = await this.apiFetch(`${this.apiBaseUrl}/profiles`);
+            const result = await response.json();
+            if (!result.success) {
+                // Viewers cannot replace devices, so there is nothing to choose
+                document.getElementById('transferOptions').style.display = 'none';
+                return;
+            }
+            
+            if (this.transferCategories.length === 0) {
+                this.transferCategories = result.categories;
+                document.getElementById('transferCategories').innerHTML = result.categories.map(category => `
+                    <div class="form-check form-check-inline">
+                        <input class="form-check-input transfer-category" type="checkbox" id="transfer-${category.key}" value="${category.key}" checked>
+                        <label class="form-check-label" for="transfer-${category.key}">${this.escapeHtml(category.label)}</label>
+                    </div>
+                `).join('');
+                document.getElementById('templateVariables').innerHTML = 'Variables: ' + Object.entries(result.templateVariables)
+                    .map(([name, description]) => `<code title="${this.escapeHtml(description)}">{${name}}</code>`)
+                    .join(' ');
+            }
+            
+            this.transferProfiles = result.profiles;
+            const profileOptions = '<option value="">Everything (default)</option>' +
+                result.profiles.map(profile => `
+                    <option value="${this.escapeHtml(profile.name)}">${this.escapeHtml(profile.name)}${profile.description ? ` — ${this.escapeHtml(profile.description)}` : ''}</option>
+                `).join('');
+            const bulkProfile = document.getElementById('bulkProfile');
+            const bulkSelected = bulkProfile.value;
+            document.getElementById('transferProfile').innerHTML = profileOptions;
+            bulkProfile.innerHTML = profileOptions;
+            bulkProfile.value = result.profiles.some(profile => profile.name === bulkSelected) ? bulkSelected : '';
+            this.selectTransferProfile(selected);
+        } catch (error) {
+            console.error('Error loading transfer profiles:', error);
+        }
+    }
+    
+    selectTransferProfile(name) {
+        const profile = this.transferProfiles.find(candidate => candidate.name === name) || null;
+        const categories = profile ? profile.categories : this.transferCategories.map(category => category.key);
+        
+        document.getElementById('transferProfile').value = profile ? profile.name : '';
+        document.querySelectorAll('.transfer-category').forEach(box => box.checked = categories.includes(box.value));
+        const templates = profile?.templates || {};
+        document.getElementById('hostnameTemplate').value = templates.hostname ?? '';
+        document.getElementById('notesTemplate').value = templates.notes ?? '';
+        document.getElementById('tagsTemplate').value = (templates.tags || []).join(', ');
+        document.getElementById('profileName').value = profile ? profile.name : '';
+        document.getElementById('deleteProfileBtn').disabled = !profile;
+        this.updateTransferSummary();
+    }
+    
+    // "profile X" or the category labels, for a { profile, categories } transfer; null when everything was copied
+    describeTransfer(transfer) {
+        if (!transfer) {
+            return null;
+        }
+        if (transfer.profile) {
+            return `profile <strong>${this.escapeHtml(transfer.profile)}</strong>`;
+        }
+        if (this.transferCategories.length === 0 || transfer.categories.length >= this.transferCategories.length) {
+            return null;
+        }
+        return this.transferCategories
+            .filter(category => transfer.categories.includes(category.key))
+            .map(category => this.escapeHtml(category.label))
+            .join(', ');
+    }
+    
+    getCheckedCategories() {
+        return [...document.querySelectorAll('.transfer-category:checked')].map(box => box.value);
+    }
+    
+    // The filled-in naming templates; empty fields fall back to the organization's templates
+    getNamingTemplates() {
+        const templates = {};
+        const hostname = document.getElementById('hostnameTemplate').value.trim();
+        const notes = document.getElementById('notesTemplate').value.trim();
+        const tags = document.getElementById('tagsTemplate').value.split(',').map(tag => tag.trim()).filter(Boolean);
+        if (hostname) {
+            templates.hostname = hostname;
+        }
+        if (notes) {
+            templates.notes = notes;
+        }
+        if (tags.length > 0) {
+            templates.tags = tags;
+        }
+        return templates;
+    }
+    
+    // Request fields for the current choice: the profile when it is used unchanged, otherwise the categories and templates
+    getTransferSelection() {
+        const checked = this.getCheckedCategories();
+        const templates = this.getNamingTemplates();
+        const profile = this.transferProfiles.find(candidate => candidate.name === document.getElementById('transferProfile').value);
+        const matchesProfile = profile && profile.categories.length === checked.length &&
+            profile.categories.every(key => checked.includes(key)) &&
+            JSON.stringify(profile.templates || {}) === JSON.stringify(templates);
+        
+        if (matchesProfile) {
+            return { profile: profile.name };
+        }
+        
+        const selection = Object.keys(templates).length > 0 ? { templates } : {};
+        if (checked.length < this.transferCategories.length) {
+            selection.transfer = checked;
+        }
+        return selection;
+    }
+    
+    updateTransferSummary() {
+        const checked = this.getCheckedCategories();
+        const selection = this.getTransferSelection();
+        let summary = 'everything';
+        if (selection.profile) {
+            summary = `profile "${selection.profile}"`;
+        } else if (selection.transfer) {
+            summary = `${checked.length} of ${this.transferCategories.length} categories`;
+        }
+        if (selection.templates) {
+            summary += ', custom naming';
+        }
+        document.getElementById('transferSummary').textContent = checked.length === 0 ? 'nothing selected' : summary;
+        document.getElementById('saveProfileBtn').disabled = checked.length === 0;
+        this.updateReplaceButton();
+    }
+    
+    async saveTransferProfile() {
+        const name = document.getElementById('profileName').value.trim();
+        if (!/^[\w .-]{1,50}$/.test(name)) {
+            this.showAlert('❌ Profile names are 1 to 50 letters, digits, spaces, dots, dashes or underscores', 'danger');
+            return;
+        }
+        
+        try {
+            const response = await this.apiFetch(`${this.apiBaseUrl}/profiles/${encodeURIComponent(name)}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ categories: this.getCheckedCategories(), templates: this.getNamingTemplates() })
+            });
+            const result = await response.json();
+            
+            if (result.success) {
+                this.showAlert(`💾 ${result.message}`, 'success');
+                await this.loadTransferProfiles(result.profile.name);
+            } else {
+                const details = result.errors ? `: ${result.errors.map(error => error.msg).join(', ')}` : '';
+                this.showAlert(`❌ Could not save profile: ${result.message}${details}`, 'danger');
+            }
+        } catch (error) {
+            console.error('Profile save error:', error);
+            this.showAlert(`❌ Error saving profile: ${error.message}`, 'danger');
+        }
+    }
+    
+    async deleteTransferProfile() {
+        const name = document.getElementById('transferProfile').value;
+        if (!name || !confirm(`Delete transfer profile "${name}" for all users?`)) {
+            return;
+        }
+        
+        try {
+            const response = await this.apiFetch(`${this.apiBaseUrl}/profiles/${encodeURIComponent(name)}`, { method: 'DELETE' });
+            const result = await response.json();
+            
+            if (result.success) {
+                this.showAlert(`🗑️ ${result.message}`, 'success');
+                await this.loadTransferProfiles();
+            } else {
+                this.showAlert(`❌ Could not delete profile: ${result.message}`, 'danger');
+            }
+        } catch (error) {
+            console.error('Profile delete error:', error);
+            this.showAlert(`❌ Error deleting profile: ${error.message}`, 'danger');
+        }
+    }
+    
+    // Request fields for the RMA case details filled in on the replacement form
+    getRmaSelection() {
+        const rma = {};
+        document.querySelectorAll('#replacementForm .rma-field').forEach(input => {
+            if (input.value.trim()) {
+                rma[input.dataset.field] = input.value.trim();
+            }
+        });
+        return Object.keys(rma).length > 0 ? { rma } : {};
+    }
+    
+    // "case X • ticket Y • tracking Z" for an RMA record, or null when it has no details
+    describeRma(rma) {
+        if (!rma) {
+            return null;
+        }
+        const parts = [
+            ['Case', rma.caseNumber],
+            ['Ticket', rma.ticketId],
+            ['Tracking', rma.trackingNumber]
+        ].filter(([, value]) => value);
+        return parts.length > 0 ? parts.map(([label, value]) => `${label} <code>${this.escapeHtml(value)}</code>`).join(' • ') : null;
+    }
+    
+    describeInventoryRelease(release) {
+        return release.released ? 'released from organization inventory' :
+            `<span class="text-warning">⚠️ not released${release.error ? `: ${this.escapeHtml(release.error)}` : ''}</span>`;
+    }
+    
+    rmaStatusLabel(key) {
+        const status = (this.rmaStatuses || []).find(candidate => candidate.key === key);
+        return status ? status.label : key;
+    }
+    
+    async previewReplacement() {
+        const failedSerial = document.getElementById('failedSerial').value.trim().toUpperCase();
+        const replacementSerial = document.getElementById('replacementSerial').value.trim().toUpperCase();
+        
+        this.setButtonLoading('previewBtn', true);
+        
+        try {
+            const response = await this.apiFetch(`${this.apiBaseUrl}/replace-device`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    failedSerial,
+                    replacementSerial,
+                    dryRun: true,
+                    releaseFromInventory: document.getElementById('releaseFromInventory').checked,
+                    ...this.getRmaSelection(),
+                    ...this.getTransferSelection()
+                })
+            });
+            
+            const result = await response.json();
+            
+            if (result.success && result.plan) {
+                this.displayReplacementPlan(result.plan);
+                this.showAlert(`🧪 ${result.message}`, 'info');
+            } else {
+                const details = result.errors ? `: ${result.errors.map(error => error.msg).join(', ')}` : '';
+                this.showAlert(`❌ Preview failed: ${result.message}${details}`, 'danger');
+            }
+        } catch (error) {
+            console.error('Preview error:', error);
+            this.showAlert(`❌ Error previewing replacement: ${error.message}`, 'danger');
+        } finally {
+            this.setButtonLoading('previewBtn', false);
+        }
+    }
+    
+    displayReplacementPlan(plan) {
+        const formatValue = (value) => value === null ? '<span class="text-muted">—</span>' :
+            `<code>${this.escapeHtml(JSON.stringify(value))}</code>`;
+        
+        let html = '';
+        const transfer = this.describeTransfer(plan.transfer);
+        if (transfer) {
+            html += `<p class="mb-2">Transferring only: ${transfer}</p>`;
+        }
+        
+        if (plan.naming) {
+            const naming = [
+                ['Hostname', plan.naming.hostname],
+                ['Notes', plan.naming.notes],
+                ['Tags', plan.naming.tags && plan.naming.tags.join(' ')]
+            ].filter(([, value]) => value);
+            if (naming.length > 0) {
+                html += `<h6>Replacement will be named:</h6><ul class="mb-2">${naming.map(([label, value]) =>
+                    `<li>${label}: <code>${this.escapeHtml(value)}</code></li>`).join('')}</ul>`;
+            }
+        }
+        
+        html += '<h6>Ordered write calls:</h6><ol class="plan-calls">';
+        
+        const renderCall = (step, call) => `
+            <li class="plan-call">
+                <span class="badge bg-dark me-1">${call.method}</span>
+                <code>${this.escapeHtml(call.path)}</code>
+                <small class="text-muted ms-1">Step ${step.step}: ${this.escapeHtml(call.description)}${call.optional ? ' (optional)' : ''}</small>
+                ${call.payload ? `<pre class="plan-payload">${this.escapeHtml(JSON.stringify(call.payload, null, 2))}</pre>` : ''}
+                ${call.followUps && call.followUps.length > 0 ? `
+                    <small class="text-muted">Then, with the new ID:</small>
+                    <ol class="plan-calls">${call.followUps.map(followUp => renderCall(step, followUp)).join('')}</ol>
+                ` : ''}
+            </li>
+        `;
+        
+        plan.steps.forEach(step => {
+            step.calls.forEach(call => {
+                html += renderCall(step, call);
+            });
+        });
+        
+        html += '</ol>';
+        
+        if (plan.switchStack) {
+            html += `<p class="mb-2">🔗 The replacement takes the failed switch's place in stack <strong>${this.escapeHtml(plan.switchStack.name || plan.switchStack.id)}</strong>.</p>`;
+        }
+        if (plan.portMapping && plan.portMapping.some(entry => entry.targetPort !== entry.sourcePort)) {
+            html += `<h6>Switch port mapping:</h6>${this.renderPortMapping(plan.portMapping)}`;
+        }
+        
+        const changedCount = plan.diff.filter(entry => entry.changed).length;
+        html += `
+            <h6>Diff against replacement device (${changedCount} of ${plan.diff.length} fields change):</h6>
+            <div class="table-responsive">
+                <table class="table table-sm plan-diff">
+                    <thead>
+                        <tr><th>Field</th><th>Current</th><th>Planned</th></tr>
+                    </thead>
+                    <tbody>
+                        ${plan.diff.map(entry => `
+                            <tr class="${entry.changed ? 'table-warning' : ''}">
+                                <td><code>${this.escapeHtml(entry.field)}</code></td>
+                                <td>${formatValue(entry.current)}</td>
+                                <td>${formatValue(entry.planned)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+        
+        document.getElementById('previewContent').innerHTML = html;
+        document.getElementById('previewSection').style.display = 'block';
+    }
+    
+    // Where each switch port went (or goes) on the replacement; entries may carry a per-port status
+    renderPortMapping(entries) {
+        const withStatus = entries.some(entry => entry.status);
+        const statusBadge = (status) => ({
+            applied: '<span class="badge bg-success">Applied</span>',
+            failed: '<span class="badge bg-danger">Failed</span>',
+            skipped: '<span class="badge bg-secondary">Skipped</span>',
+            'not mapped': '<span class="badge bg-warning text-dark">Not mapped</span>'
+        })[status] || this.escapeHtml(status || '');
+        
+        return `
+            <div class="table-responsive">
+                <table class="table table-sm port-mapping">
+                    <thead>
+                        <tr><th>Failed port</th><th>Replacement port</th><th>Role</th>${withStatus ? '<th>Status</th>' : ''}<th>Note</th></tr>
+                    </thead>
+                    <tbody>
+                        ${entries.map(entry => `
+                            <tr class="${entry.targetPort === null || entry.status === 'failed' ? 'table-warning' : ''}">
+                                <td>${this.escapeHtml(entry.sourcePort)}</td>
+                                <td>${entry.targetPort === null ? '<span class="text-muted">—</span>' : this.escapeHtml(entry.targetPort)}</td>
+                                <td>${this.escapeHtml(entry.role)}</td>
+                                ${withStatus ? `<td>${statusBadge(entry.status)}</td>` : ''}
+                                <td><small>${this.escapeHtml(entry.error || entry.note || '')}</small></td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+    
+    escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+    
+    async validateBulkCsv() {
+        const file = document.getElementById('bulkCsvFile').files[0];
+        if (!file) {
+            return;
+        }
+        
+        this.setButtonLoading('bulkValidateBtn', true);
+        this.bulkResultsCsv = null;
+        document.getElementById('bulkDownloadBtn').style.display = 'none';
+        
+        try {
+            const csv = await file.text();
+            const response = await this.apiFetch(`${this.apiBaseUrl}/bulk/validate`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    csv,
+                    concurrency: parseInt(document.getElementById('bulkConcurrency').value, 10) || undefined
+                })
+            });
+            
+            const result = await response.json();
+            
+            if (result.success) {
+                this.bulkRows = result.rows;
+                this.displayBulkRows(result.rows);
+                document.getElementById('bulkSummary').innerHTML = `
+                    <small class="text-muted">📊 ${result.summary.valid}/${result.summary.total} rows valid • 
+                    select the rows to replace</small>
+                `;
+                this.showBulkAlert(`✅ Validated ${result.summary.total} rows: ${result.summary.valid} ready, ${result.summary.invalid} with errors.`, 
+                    result.summary.invalid > 0 ? 'warning' : 'success');
+            } else {
+                this.showBulkAlert(`❌ CSV validation failed: ${result.message}`, 'danger');
+            }
+        } catch (error) {
+            console.error('Bulk validation error:', error);
+            this.showBulkAlert(`❌ Error validating CSV: ${error.message}`, 'danger');
+        } finally {
+            this.setButtonLoading('bulkValidateBtn', false);
+        }
+    }
+    
+    displayBulkRows(rows) {
+        const statusBadge = (row) => {
+            if (row.status === 'success') {
+                return '<span class="badge bg-success">Replaced</span>';
+            }
+            if (row.status === 'failed') {
+                return `<span class="badge bg-danger">Failed</span>
+                    ${row.rolledBack ? '<span class="badge bg-secondary ms-1">Rolled back</span>' : ''}
+                    <br><small class="text-danger">${this.escapeHtml(row.message)}</small>`;
+            }
+            if (row.status === 'skipped') {
+                return '<span class="badge bg-light text-dark">Skipped</span>';
+            }
+            if (row.status === 'queued') {
+                return '<span class="badge bg-light text-dark">Queued</span>';
+            }
+            if (row.status === 'running') {
+                return '<span class="badge bg-primary">Replacing...</span>';
+            }
+            if (row.valid && row.warnings && row.warnings.length > 0) {
+                return `<span class="badge bg-warning text-dark">Valid with warnings</span><br><small class="text-muted">${this.escapeHtml(row.warnings.join('; '))}</small>`;
+            }
+            return row.valid ?
+                '<span class="badge bg-info text-dark">Valid</span>' :
+                `<span class="badge bg-danger">Invalid</span><br><small class="text-danger">${this.escapeHtml(row.message)}</small>`;
+        };
+        
+        document.getElementById('bulkTableBody').innerHTML = rows.map((row, index) => `
+            <tr>
+                <td><input type="checkbox" class="form-check-input bulk-row-select" data-index="${index}"
+                    ${row.valid && !row.status ? 'checked' : 'disabled'}></td>
+                <td>${row.row}</td>
+                <td><code>${this.escapeHtml(row.failedSerial)}</code>${row.hostname ? `<br><small>${this.escapeHtml(row.hostname)}</small>` : ''}
+                    ${row.rma && row.rma.caseNumber ? `<br><small class="text-muted">RMA ${this.escapeHtml(row.rma.caseNumber)}</small>` : ''}
+                    ${row.releasedFromInventory ? '<br><span class="badge bg-warning text-dark">Released from inventory</span>' : ''}</td>
+                <td><code>${this.escapeHtml(row.replacementSerial)}</code></td>
+                <td>${this.escapeHtml(row.organizationName || row.organizationId || '—')}<br>
+                    <small class="text-muted">${this.escapeHtml(row.networkName || row.networkId || '')}</small></td>
+                <td>${statusBadge(row)}</td>
+            </tr>
+        `).join('');
+        
+        document.getElementById('bulkSelectAll').checked = rows.some(row => row.valid && !row.status);
+        document.getElementById('bulkResultsSection').style.display = 'block';
+        this.updateBulkReplaceButton();
+    }
+    
+    updateBulkReplaceButton() {
+        const selected = document.querySelectorAll('.bulk-row-select:checked').length;
+        const button = document.getElementById('bulkReplaceBtn');
+        button.disabled = selected === 0;
+        button.textContent = selected > 0 ? `🔄 Replace Selected (${selected})` : '🔄 Replace Selected';
+    }
+    
+    async replaceBulkRows() {
+        const selectedIndexes = Array.from(document.querySelectorAll('.bulk-row-select:checked'))
+            .map(box => parseInt(box.dataset.index, 10));
+        const selectedRows = selectedIndexes.map(index => this.bulkRows[index]);
+        
+        if (selectedRows.length === 0) {
+            return;
+        }
+        
+        if (!confirm(`⚠️ CONFIRMATION REQUIRED\n\nThis will replace ${selectedRows.length} devices:\n` +
+            selectedRows.map(row => `• ${row.failedSerial} → ${row.replacementSerial}`).join('\n') +
+            '\n\nProceed with bulk replacement?')) {
+            return;
+        }
+        
+        // Releases follow the choice made here, else each organization's default; they need their own confirmation
+        const release = document.getElementById('bulkRelease').value;
+        const releaseFromInventory = release ? release === 'release' : undefined;
+        const releasedRows = selectedRows.filter(row => releaseFromInventory ?? row.releaseFromInventory);
+        if (releasedRows.length > 0 && !confirm(`⚠️ RELEASE FROM INVENTORY\n\nThese failed devices will also be released from organization inventory after they are removed:\n` +
+            releasedRows.map(row => `• ${row.failedSerial} (${row.organizationName || row.organizationId})`).join('\n') +
+            '\n\nThey stop counting against licensing, and this cannot be undone from the portal.\n\nRelease them?')) {
+            return;
+        }
+        
+        this.setButtonLoading('bulkReplaceBtn', true);
+        document.getElementById('bulkValidateBtn').disabled = true;
+        
+        try {
+            const response = await this.apiFetch(`${this.apiBaseUrl}/bulk/replace`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    rows: selectedRows.map(row => ({
+                        row: row.row,
+                        failedSerial: row.failedSerial,
+                        replacementSerial: row.replacementSerial,
+                        organizationId: row.organizationId,
+                        networkId: row.networkId,
+                        rma: row.rma
+                    })),
+                    concurrency: parseInt(document.getElementById('bulkConcurrency').value, 10) || undefined,
+                    profile: document.getElementById('bulkProfile').value || undefined,
+                    releaseFromInventory,
+                    ...(releasedRows.length > 0 ? { releaseConfirmed: true } : {})
+                })
+            });
+            
+            const result = await response.json();
+            
+            if (result.success) {
+                this.followBulkJob(result.jobId, selectedRows);
+            } else {
+                this.showBulkAlert(`❌ Bulk replacement failed: ${result.message}`, 'danger');
+                this.finishBulkJob();
+            }
+        } catch (error) {
+            console.error('Bulk replacement error:', error);
+            this.showBulkAlert(`❌ Error during bulk replacement: ${error.message}`, 'danger');
+            this.finishBulkJob();
+        }
+    }
+    
+    // Show each row's progress as the bulk job streams it, then the final results
+    followBulkJob(jobId, selectedRows) {
+        const selected = new Set(selectedRows.map(row => row.row));
+        const events = new EventSource(`${this.apiBaseUrl}/jobs/${jobId}/events`);
+        
+        events.onmessage = (event) => {
+            const job = JSON.parse(event.data);
+            const finished = job.status === 'completed' || job.status === 'failed';
+            const entries = finished && job.result && job.result.results ? job.result.results : (job.rows || []);
+            const entriesByRow = new Map(entries.map(entry => [entry.row, entry]));
+            
+            this.bulkRows = this.bulkRows.map(row => entriesByRow.has(row.row) ?
+                { ...row, ...entriesByRow.get(row.row) } :
+                (finished && row.valid && !selected.has(row.row) ? { ...row, status: 'skipped' } : row));
+            this.displayBulkRows(this.bulkRows);
+            
+            if (!finished) {
+                document.getElementById('bulkSummary').innerHTML = `<small class="text-muted">⏳ ${this.escapeHtml(job.progress || 'Starting')}</small>`;
+                return;
+            }
+            
+            events.close();
+            this.finishBulkJob();
+            const result = job.result;
+            if (!result || !result.success) {
+                this.showBulkAlert(`❌ Bulk replacement failed: ${this.escapeHtml((result && result.message) || job.error)}`, 'danger');
+                return;
+            }
+            
+            this.bulkResultsCsv = result.resultsCsv;
+            document.getElementById('bulkDownloadBtn').style.display = 'inline-block';
+            document.getElementById('bulkSummary').innerHTML = `
+                <small class="text-muted">📊 ${result.summary.succeeded}/${result.summary.total} replacements succeeded</small>
+            `;
+            this.showBulkAlert(`${result.summary.failed === 0 ? '🎉' : '⚠️'} Bulk replacement finished: ${result.summary.succeeded} succeeded, ${result.summary.failed} failed.`,
+                result.summary.failed === 0 ? 'success' : 'warning');
+        };
+        
+        events.onerror = () => {
+            // The browser retries dropped streams by itself; a closed stream means the job is gone
+            if (events.readyState === EventSource.CLOSED) {
+                this.showBulkAlert(`❌ Lost track of bulk job ${this.escapeHtml(jobId)}. Check the operations log for its outcome.`, 'danger');
+                this.finishBulkJob();
+            }
+        };
+    }
+    
+    finishBulkJob() {
+        this.setButtonLoading('bulkReplaceBtn', false);
+        document.getElementById('bulkValidateBtn').disabled = false;
+        this.updateBulkReplaceButton();
+    }
+    
+    downloadBulkResults() {
+        if (!this.bulkResultsCsv) {
+            return;
+        }
+        
+        const blob = new Blob([this.bulkResultsCsv], { type: 'text/csv' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `bulk-replacement-results-${new Date().toISOString().slice(0, 10)}.csv`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+    
+    showBulkAlert(message, type) {
+        document.getElementById('bulkAlertArea').innerHTML = `
+            <div class="alert alert-${type} alert-dismissible fade show" role="alert">
+                ${message}
+                <button type="button" class="btn-close" data-bs-dismiss="alert" aria-label="Close"></button>
+            </div>
+        `;
+    }
+    
+    async exportBundle() {
+        const serial = document.getElementById('bundleExportSerial').value.trim().toUpperCase();
+        if (!this.validateSerialFormat(serial)) {
+            this.showBundleAlert('❌ Invalid serial number format (should be XXXX-XXXX-XXXX)', 'danger');
+            return;
+        }
+        
+        this.setButtonLoading('bundleExportBtn', true);
+        
+        try {
+            const response = await this.apiFetch(`${this.apiBaseUrl}/bundles/export/${encodeURIComponent(serial)}`);
+            if (!response.ok) {
+                const result = await response.json();
+                this.showBundleAlert(`❌ Export failed: ${this.escapeHtml(result.message)}`, 'danger');
+                return;
+            }
+            
+            const bundle = await response.json();
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' }));
+            link.download = `config-${serial}-${bundle.exportedAt.slice(0, 10)}.json`;
+            link.click();
+            URL.revokeObjectURL(link.href);
+            this.showBundleAlert(`✅ Exported configuration of ${serial} (bundle version ${bundle.version}).`, 'success');
+        } catch (error) {
+            console.error('Bundle export error:', error);
+            this.showBundleAlert(`❌ Error exporting bundle: ${error.message}`, 'danger');
+        } finally {
+            this.setButtonLoading('bundleExportBtn', false);
+        }
+    }
+    
+    async importBundle() {
+        const file = document.getElementById('bundleImportFile').files[0];
+        const serial = document.getElementById('bundleImportSerial').value.trim().toUpperCase();
+        if (!file) {
+            this.showBundleAlert('❌ Choose a bundle file to import', 'danger');
+            return;
+        }
+        if (!this.validateSerialFormat(serial)) {
+            this.showBundleAlert('❌ Invalid serial number format (should be XXXX-XXXX-XXXX)', 'danger');
+            return;
+        }
+        if (!window.confirm(`Overwrite the configuration of ${serial} with ${file.name}?`)) {
+            return;
+        }
+        
+        this.setButtonLoading('bundleImportBtn', true);
+        
+        try {
+            const response = await this.apiFetch(`${this.apiBaseUrl}/bundles/import`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ serial, bundle: await file.text() })
+            });
+            const result = await response.json();
+            
+            const auditMessage = result.auditError ? `<br>⚠️ ${this.escapeHtml(result.auditError)}` : '';
+            if (result.success) {
+                this.showBundleAlert(`✅ ${this.escapeHtml(result.message)}${auditMessage}`, result.auditError ? 'warning' : 'success');
+            } else {
+                const rollbackMessage = result.rolledBack === false ? '<br>⚠️ Rollback was incomplete.' : '';
+                this.showBundleAlert(`❌ Import failed: ${this.escapeHtml(result.message)}${rollbackMessage}${auditMessage}`, 'danger');
+            }
+            this.loadHistory(1);
+        } catch (error) {
+            console.error('Bundle import error:', error);
+            this.showBundleAlert(`❌ Error importing bundle: ${error.message}`, 'danger');
+        } finally {
+            this.setButtonLoading('bundleImportBtn', false);
+        }
+    }
+    
+    showBundleAlert(message, type) {
+        document.getElementById('bundleAlertArea').innerHTML = `
+            <div class="alert alert-${type} alert-dismissible fade show" role="alert">
+                ${message}
+                <button type="button" class="btn-close" data-bs-dismiss="alert" aria-label="Close"></button>
+            </div>
+        `;
+    }
+    
+    async loadHistory(page = this.historyPage) {
+        const filters = {
+            serial: document.getElementById('historySerial').value.trim(),
+            status: document.getElementById('historyStatus').value,
+            user: document.getElementById('historyUser').value.trim(),
+            from: document.getElementById('historyFrom').value,
+            to: document.getElementById('historyTo').value
+        };
+        const params = new URLSearchParams({ page: Math.max(page, 1), pageSize: 20 });
+        Object.entries(filters).forEach(([key, value]) => {
+            if (value) {
+                params.set(key, value);
+            }
+        });
+        
+        try {
+            const response = await this.apiFetch(`${this.apiBaseUrl}/operations?${params}`);
+            const result = await response.json();
+            
+            if (result.success) {
+                document.getElementById('historyAlertArea').innerHTML = '';
+                this.historyPage = result.paging.page;
+                this.rmaStatuses = result.rmaStatuses;
+                this.displayHistory(result.operations, result.paging);
+            } else {
+                const details = result.errors ? `: ${result.errors.map(error => error.msg).join(', ')}` : '';
+                this.showHistoryAlert(`❌ Could not load history: ${result.message}${details}`, 'danger');
+            }
+        } catch (error) {
+            console.error('History error:', error);
+            this.showHistoryAlert(`❌ Error loading history: ${error.message}`, 'danger');
+        }
+    }
+    
+    displayHistory(operations, paging) {
+        const statusBadges = {
+            SUCCESS: 'bg-success',
+            FAILED: 'bg-danger',
+            ROLLBACK: 'bg-secondary',
+            ROLLBACK_FAILED: 'bg-warning text-dark',
+            VERIFY: 'bg-success',
+            VERIFY_FAILED: 'bg-warning text-dark',
+            RESTORE: 'bg-info text-dark',
+            RESTORE_FAILED: 'bg-danger',
+            IMPORT: 'bg-info text-dark',
+            IMPORT_FAILED: 'bg-danger',
+            RMA_UPDATE: 'bg-primary'
+        };
+        
+        const details = (entry) => {
+            const lines = [];
+            if (entry.operationId) {
+                lines.push(`<span class="text-muted">Operation ${this.escapeHtml(entry.operationId)}</span>`);
+            }
+            if (entry.hostnameTransferred) {
+                lines.push(`Hostname: <strong>${this.escapeHtml(entry.hostnameTransferred)}</strong>`);
+            }
+            const transfer = this.describeTransfer(entry.transfer);
+            if (transfer) {
+                lines.push(`Transferred: ${transfer}`);
+            }
+            if (entry.override) {
+                const kind = entry.override.deviceStatus === 'unknown' ? 'Unknown status override' : 'Online device override';
+                lines.push(`<span class="text-warning">⚠️ ${kind}: ${this.escapeHtml(entry.override.reason)}</span>`);
+            }
+            if (entry.status === 'RMA_UPDATE') {
+                const change = entry.previousRmaStatus === entry.rma.status ? this.rmaStatusLabel(entry.rma.status) :
+                    `${this.rmaStatusLabel(entry.previousRmaStatus)} → ${this.rmaStatusLabel(entry.rma.status)}`;
+                lines.push(`RMA: <strong>${this.escapeHtml(change)}</strong>`);
+                if (this.describeRma(entry.rma)) {
+                    lines.push(this.describeRma(entry.rma));
+                }
+            } else if (entry.status === 'SUCCESS' && (entry.currentRma || entry.rma)) {
+                lines.push(this.renderRmaEditor(entry.operationId, entry.currentRma || entry.rma));
+            } else if (this.describeRma(entry.rma)) {
+                lines.push(`RMA: ${this.describeRma(entry.rma)}`);
+            }
+            if (entry.inventoryRelease) {
+                lines.push(`Inventory release: ${this.describeInventoryRelease(entry.inventoryRelease)}`);
+            }
+            if (entry.compensation) {
+                lines.push(`Rollback: ${this.escapeHtml(entry.compensation)}`);
+            }
+            if (entry.rolledBack !== undefined) {
+                lines.push(entry.rolledBack ? 'Changes rolled back' : 'Rollback incomplete');
+            }
+            if (entry.error) {
+                lines.push(`<span class="text-danger">${this.escapeHtml(entry.error)}</span>`);
+            }
+            if (entry.verification) {
+                const summary = entry.verification.summary;
+                lines.push(`<details><summary>Verification: ${summary.passed} of ${summary.total} checks passed</summary>
+                    ${this.renderVerificationChecks(entry.verification)}</details>`);
+            }
+            if (entry.status === 'SUCCESS' && entry.snapshotId) {
+                lines.push(`<button type="button" class="btn btn-sm btn-outline-secondary verify-operation-btn"
+                    data-operation-id="${this.escapeHtml(entry.operationId)}">🔎 Verify</button>`);
+            }
+            if (entry.snapshotId && (entry.status === 'SUCCESS' || entry.status === 'FAILED')) {
+                lines.push(`<button type="button" class="btn btn-sm btn-outline-secondary snapshot-restore-btn"
+                    data-snapshot-id="${this.escapeHtml(entry.snapshotId)}" data-serial="${this.escapeHtml(entry.replacementSerial || '')}">
+                    ♻️ Restore snapshot</button>`);
+            }
+            if (entry.switchPorts) {
+                const applied = entry.switchPorts.filter(port => port.status === 'applied').length;
+                lines.push(`<details><summary>Switch ports: ${applied} of ${entry.switchPorts.length} applied</summary>
+                    ${this.renderPortMapping(entry.switchPorts)}</details>`);
+            }
+            if (entry.configurationApplied) {
+                lines.push(`<details><summary>Configuration applied</summary>
+                    <pre class="mb-0">${this.escapeHtml(JSON.stringify(entry.configurationApplied, null, 2))}</pre></details>`);
+            }
+            return lines.join('<br>') || '—';
+        };
+        
+        document.getElementById('historyTableBody').innerHTML = operations.length === 0 ?
+            '<tr><td colspan="6" class="text-muted text-center">No operations found</td></tr>' :
+            operations.map(entry => `
+                <tr>
+                    <td><small>${this.escapeHtml(new Date(entry.timestamp).toLocaleString())}</small></td>
+                    <td><span class="badge ${statusBadges[entry.status] || 'bg-light text-dark'}">${this.escapeHtml(entry.status)}</span></td>
+                    <td><code>${this.escapeHtml(entry.failedSerial || '—')}</code> →
+                        <code>${this.escapeHtml(entry.replacementSerial || '—')}</code></td>
+                    <td>${this.escapeHtml(entry.organizationId || '—')}<br>
+                        <small class="text-muted">${this.escapeHtml(entry.networkId || '')}</small></td>
+                    <td>${this.escapeHtml(entry.operator || '—')}</td>
+                    <td><small>${details(entry)}</small></td>
+                </tr>
+            `).join('');
+        
+        document.getElementById('historyPageInfo').textContent =
+            `Page ${paging.page} of ${paging.totalPages} • ${paging.total} operations`;
+        document.getElementById('historyPrevBtn').disabled = paging.page <= 1;
+        document.getElementById('historyNextBtn').disabled = paging.page >= paging.totalPages;
+        document.getElementById('historyResultsSection').style.display = 'block';
+    }
+    
+    // Current RMA state of a replacement with a form to move it along its lifecycle
+    renderRmaEditor(operationId, rma) {
+        const details = this.describeRma(rma);
+        const input = (field, label) => `
+            <input type="text" class="form-control form-control-sm rma-edit-field" data-field="${field}" maxlength="64"
+                placeholder="${label}" value="${this.escapeHtml(rma[field] || '')}">`;
+        // The lifecycle only moves forward
+        const statuses = this.rmaStatuses || [];
+        const nextStatuses = statuses.slice(Math.max(statuses.findIndex(status => status.key === rma.status), 0));
+        
+        return `<details class="rma-editor" data-operation-id="${this.escapeHtml(operationId)}">
+            <summary>RMA: <span class="badge bg-light text-dark">${this.escapeHtml(this.rmaStatusLabel(rma.status))}</span>${details ? ` ${details}` : ''}</summary>
+            <div class="d-flex flex-wrap gap-1 mt-1">
+                <select class="form-select form-select-sm rma-status" aria-label="RMA status">
+                    ${nextStatuses.map(status => `
+                        <option value="${status.key}" ${status.key === rma.status ? 'selected' : ''}>${this.escapeHtml(status.label)}</option>
+                    `).join('')}
+                </select>
+                ${input('caseNumber', 'RMA case number')}
+                ${input('ticketId', 'Ticket ID')}
+                ${input('trackingNumber', 'Return tracking number')}
+                <button type="button" class="btn btn-sm btn-outline-primary rma-save-btn">📦 Update RMA</button>
+            </div>
+        </details>`;
+    }
+    
+    async updateRma(button) {
+        const editor = button.closest('.rma-editor');
+        const changes = { status: editor.querySelector('.rma-status').value };
+        editor.querySelectorAll('.rma-edit-field').forEach(input => {
+            changes[input.dataset.field] = input.value.trim();
+        });
+        button.disabled = true;
+        
+        try {
+            const response = await this.apiFetch(`${this.apiBaseUrl}/operations/${encodeURIComponent(editor.dataset.operationId)}/rma`, {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(changes)
+            });
+            const result = await response.json();
+            
+            const auditMessage = result.auditError ? `<br>⚠️ ${this.escapeHtml(result.auditError)}` : '';
+            if (result.success) {
+                this.showHistoryAlert(`📦 ${this.escapeHtml(result.message)}${auditMessage}`, result.auditError ? 'warning' : 'success');
+                this.loadHistory();
+            } else {
+                const details = result.errors ? `: ${result.errors.map(error => error.msg).join(', ')}` : '';
+                this.showHistoryAlert(`❌ Could not update the RMA: ${this.escapeHtml(result.message + details)}`, 'danger');
+                button.disabled = false;
+            }
+        } catch (error) {
+            console.error('RMA update error:', error);
+            this.showHistoryAlert(`❌ Error updating the RMA: ${error.message}`, 'danger');
+            button.disabled = false;
+        }
+    }
+    
+    // Reapply the configuration captured before a replacement to a serial the operator chooses
+    async restoreSnapshot(snapshotId, defaultSerial) {
+        const serial = window.prompt('Restore the pre-replacement configuration to which serial?', defaultSerial);
+        if (!serial) {
+            return;
+        }
+        if (!this.validateSerialFormat(serial.trim().toUpperCase())) {
+            this.showHistoryAlert('❌ Invalid serial number format (should be XXXX-XXXX-XXXX)', 'danger');
+            return;
+        }
+        if (!window.confirm(`Overwrite the configuration of ${serial.trim().toUpperCase()} with snapshot ${snapshotId}?`)) {
+            return;
+        }
+        
+        try {
+            const response = await this.apiFetch(`${this.apiBaseUrl}/snapshots/${encodeURIComponent(snapshotId)}/restore`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ serial: serial.trim().toUpperCase() })
+            });
+            const result = await response.json();
+            
+            const auditMessage = result.auditError ? `<br>⚠️ ${this.escapeHtml(result.auditError)}` : '';
+            if (result.success) {
+                this.showHistoryAlert(`✅ ${this.escapeHtml(result.message)}${auditMessage}`, result.auditError ? 'warning' : 'success');
+            } else {
+                const rollbackMessage = result.rolledBack === false ? '<br>⚠️ Rollback was incomplete.' : '';
+                this.showHistoryAlert(`❌ Restore failed: ${this.escapeHtml(result.message)}${rollbackMessage}${auditMessage}`, 'danger');
+            }
+            this.loadHistory(1);
+        } catch (error) {
+            console.error('Snapshot restore error:', error);
+            this.showHistoryAlert(`❌ Error restoring snapshot: ${error.message}`, 'danger');
+        }
+    }
+    
+    // Run the post-replacement verification for an earlier operation as a job
+    async verifyOperation(operationId, button) {
+        button.disabled = true;
+        
+        try {
+            const response = await this.apiFetch(`${this.apiBaseUrl}/jobs/verify`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ operationId })
+            });
+            const result = await response.json();
+            
+            if (!result.success) {
+                this.showHistoryAlert(`❌ Could not start verification: ${this.escapeHtml(result.message)}`, 'danger');
+                button.disabled = false;
+                return;
+            }
+            
+            this.showHistoryAlert(`🔎 Verifying operation ${this.escapeHtml(operationId)}...`, 'info');
+            const events = new EventSource(`${this.apiBaseUrl}/jobs/${result.jobId}/events`);
+            events.onmessage = (event) => {
+                const job = JSON.parse(event.data);
+                if (job.status === 'running' && job.progress) {
+                    this.showHistoryAlert(`🔎 ${this.escapeHtml(job.progress)}`, 'info');
+                }
+                if (job.status === 'completed' || job.status === 'failed') {
+                    events.close();
+                    const outcome = job.result || { success: false, message: job.error };
+                    const passed = outcome.success && outcome.verification && outcome.verification.passed;
+                    const auditMessage = outcome.auditError ? `<br>⚠️ ${this.escapeHtml(outcome.auditError)}` : '';
+                    this.showHistoryAlert(`${passed ? '✅' : '⚠️'} ${this.escapeHtml(outcome.message)}${auditMessage}`,
+                        passed ? 'success' : 'warning');
+                    this.loadHistory(1);
+                }
+            };
+            events.onerror = () => {
+                if (events.readyState === EventSource.CLOSED) {
+                    this.showHistoryAlert('❌ Lost track of the verification job. Check the history for its outcome.', 'danger');
+                    button.disabled = false;
+                }
+            };
+        } catch (error) {
+            console.error('Verification error:', error);
+            this.showHistoryAlert(`❌ Error starting verification: ${error.message}`, 'danger');
+            button.disabled = false;
+        }
+    }
+    
+    showHistoryAlert(message, type) {
+        document.getElementById('historyAlertArea').innerHTML = `
+            <div class="alert alert-${type} alert-dismissible fade show" role="alert">
+                ${message}
+                <button type="button" class="btn-close" data-bs-dismiss="alert" aria-label="Close"></button>
+            </div>
+        `;
+    }
+    
+    showOperationSteps(operations, totalSteps = operations.length) {
         const progressSteps = document.getElementById('progressSteps');
-        const totalSteps = operations.length;
         let completedSteps = 0;
         
         let stepsHtml = '<h6>Operation Steps:</h6>';
@@ -390,7 +1720,9 @@ displayOrganizations(organizations) {
             if (op.status === 'completed') {
                 statusClass = 'step-completed';
                 icon = '✅';
-                completedSteps++;
+                if (!op.rollback) {
+                    completedSteps++;
+                }
             } else if (op.status === 'in-progress') {
                 statusClass = 'step-in-progress';
                 icon = '🔄';
@@ -399,18 +1731,22 @@ displayOrganizations(organizations) {
                 icon = '❌';
             }
             
+            // Optional calls that failed don't fail the step, but the operator should see them
+            const failedCalls = (op.results || []).filter(result => result.status === 'failed');
+            
             stepsHtml += `
                 <div class="step-item ${statusClass}">
                     ${icon} Step ${op.step}: ${op.message}
                     ${op.error ? `<br><small class="text-danger">Error: ${op.error}</small>` : ''}
+                    ${failedCalls.map(result => `<br><small class="text-warning">⚠️ ${this.escapeHtml(result.description)}: ${this.escapeHtml(result.error || 'failed')}</small>`).join('')}
                 </div>
             `;
         });
         
         progressSteps.innerHTML = stepsHtml;
         
-        // Update progress bar
-        const percentage = (completedSteps / totalSteps) * 100;
+        // Update progress bar against the steps the server planned
+        const percentage = Math.min((completedSteps / (totalSteps || operations.length)) * 100, 100);
         document.getElementById('progressBar').style.width = `${percentage}%`;
     }
     
@@ -422,19 +1758,67 @@ displayOrganizations(organizations) {
                     <li><strong>Failed Device:</strong> ${summary.failedDevice}</li>
                     <li><strong>Replacement Device:</strong> ${summary.replacementDevice}</li>
                     <li><strong>Organization:</strong> ${summary.organizationId}</li>
-                    <li><strong>Hostname Transferred:</strong> <code>${summary.hostnameTransferred}</code></li>
+                    <li><strong>Hostname Transferred:</strong> ${summary.hostnameTransferred ? `<code>${this.escapeHtml(summary.hostnameTransferred)}</code>` : 'not transferred'}</li>
+                    ${summary.transfer && summary.transfer.profile ? `<li><strong>Transfer Profile:</strong> ${this.escapeHtml(summary.transfer.profile)}</li>` : ''}
+                    ${this.describeRma(summary.rma) ? `<li><strong>RMA:</strong> ${this.describeRma(summary.rma)}</li>` : ''}
+                    ${summary.inventoryRelease ? `<li><strong>Inventory Release:</strong> ${this.describeInventoryRelease(summary.inventoryRelease)}</li>` : ''}
+                    ${summary.operationId ? `<li><strong>Operation ID (snapshot):</strong> <code>${summary.operationId}</code></li>` : ''}
                     <li><strong>Configuration Applied:</strong>
                         <ul>
                             ${summary.configurationTypes.map(type => `<li>${type}</li>`).join('')}
                         </ul>
                     </li>
+                    ${summary.failedCalls && summary.failedCalls.length > 0 ? `<li><strong>Not applied:</strong>
+                        <ul>
+                            ${summary.failedCalls.map(result => `<li>${this.escapeHtml(result.description)}: ${this.escapeHtml(result.error || 'failed')}</li>`).join('')}
+                        </ul>
+                    </li>` : ''}
                 </ul>
+                ${summary.switchPorts && summary.switchPorts.length > 0 ? `
+                    <details class="mt-2"><summary>Switch port report</summary>${this.renderPortMapping(summary.switchPorts)}</details>
+                ` : ''}
             </div>
         `;
         
         document.getElementById('progressSteps').innerHTML += summaryHtml;
     }
     
+    // Pass/fail report of the post-replacement verification, when one ran
+    showVerificationReport(result) {
+        if (!result.verificationMessage) {
+            return;
+        }
+        
+        const verification = result.verification;
+        const type = verification && verification.passed ? 'success' : 'warning';
+        document.getElementById('progressSteps').innerHTML += `
+            <div class="alert alert-${type} mt-3">
+                <h6>🔎 ${this.escapeHtml(result.verificationMessage)}</h6>
+                ${verification ? this.renderVerificationChecks(verification) : ''}
+            </div>
+        `;
+    }
+    
+    renderVerificationChecks(verification) {
+        const value = (data) => this.escapeHtml(typeof data === 'string' ? data : JSON.stringify(data));
+        return `
+            <small>Status ${this.escapeHtml(verification.online.status)} after ${verification.online.waitedSeconds}s</small>
+            <table class="table table-sm mb-0 mt-2">
+                <thead><tr><th>Setting</th><th>Expected</th><th>Actual</th><th></th></tr></thead>
+                <tbody>
+                    ${verification.checks.map(check => `
+                        <tr class="${check.passed ? '' : 'table-danger'}">
+                            <td><code>${this.escapeHtml(check.setting)}</code></td>
+                            <td><small>${value(check.expected)}</small></td>
+                            <td><small>${check.error ? this.escapeHtml(check.error) : value(check.actual)}</small></td>
+                            <td>${check.passed ? '✅' : '❌'}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+    
     showProgress(message, percentage) {
         const progressSection = document.getElementById('progressSection');
         const progressBar = document.getElementById('progressBar');
@@ -493,12 +1877,15 @@ displayOrganizations(organizations) {
     resetForm() {
         document.getElementById('replacementForm').reset();
         document.getElementById('replaceBtn').disabled = true;
+        document.getElementById('previewBtn').disabled = true;
         document.getElementById('validateBtn').disabled = true;
         document.getElementById('deviceInfoSection').style.display = 'none';
+        document.getElementById('previewSection').style.display = 'none';
         document.getElementById('progressSection').style.display = 'none';
         document.getElementById('alertArea').innerHTML = '';
         
         // Reset validation state
+        this.replacementCheck = null;
         this.validationState = {
             failedSerial: false,
             replacementSerial: false
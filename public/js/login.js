@@ -0,0 +1,120 @@
+/**
+ * @module meraki_ap_rma
+ * @author Eric Schriver <eschrive@cisco.com>
+ * @copyright Copyright (c) 2025 Cisco and/or its affiliates.
+ * @license Cisco Sample Code License, Version 1.1
+ */
+
+/**
+ * @license
+ * Copyright (c) 2025 Cisco and/or its affiliates.
+ *
+ * This software is licensed to you under the terms of the Cisco Sample
+ * Code License, Version 1.1 (the "License"). You may obtain a copy of the
+ * License at
+ *
+ *                https://developer.cisco.com/docs/licenses
+ *
+ * All use of the material herein must be in accordance with the terms of
+ * the License. All rights not expressly granted by the License are
+ * reserved. Unless required by applicable law or agreed to separately in
+ * writing, software distributed under the License is distributed on an "AS
+ * IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied.
+ */
+
+
+class LoginPage {
+    constructor() {
+        const params = new URLSearchParams(window.location.search);
+        this.returnTo = this.safeReturnTo(params.get('returnTo'));
+        
+        if (params.get('error')) {
+            this.showAlert(`❌ ${params.get('error')}`, 'danger');
+        }
+        
+        document.getElementById('loginForm').addEventListener('submit', (e) => this.handleLogin(e));
+        this.loadConfig();
+    }
+    
+    // Only follow local paths after login; anything the browser resolves to another origin goes home
+    safeReturnTo(value) {
+        if (!value || !value.startsWith('/')) {
+            return '/';
+        }
+        try {
+            const url = new URL(value, window.location.origin);
+            return url.origin === window.location.origin ? `${url.pathname}${url.search}${url.hash}` : '/';
+        } catch {
+            return '/';
+        }
+    }
+    
+    async loadConfig() {
+        try {
+            const response = await fetch('/api/auth/config');
+            const result = await response.json();
+            
+            if (result.provider === 'oidc') {
+                const oidcLogin = document.getElementById('oidcLogin');
+                oidcLogin.style.removeProperty('display');
+                document.getElementById('oidcLoginBtn').href = `/api/auth/oidc/login?returnTo=${encodeURIComponent(this.returnTo)}`;
+            } else {
+                document.getElementById('loginForm').style.display = 'block';
+                document.getElementById('username').focus();
+            }
+        } catch (error) {
+            console.error('Could not load login configuration:', error);
+            this.showAlert('API connection failed. Please check if the server is running.', 'danger');
+        }
+    }
+    
+    async handleLogin(event) {
+        event.preventDefault();
+        
+        const username = document.getElementById('username').value.trim();
+        const password = document.getElementById('password').value;
+        const loginBtn = document.getElementById('loginBtn');
+        
+        loginBtn.disabled = true;
+        loginBtn.classList.add('btn-loading');
+        
+        try {
+            const response = await fetch('/api/auth/login', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ username, password })
+            });
+            
+            const result = await response.json();
+            
+            if (result.success) {
+                window.location.href = this.returnTo;
+            } else {
+                this.showAlert(`❌ ${result.message}`, 'danger');
+                document.getElementById('password').value = '';
+            }
+        } catch (error) {
+            console.error('Login error:', error);
+            this.showAlert(`❌ Error signing in: ${error.message}`, 'danger');
+        } finally {
+            loginBtn.disabled = false;
+            loginBtn.classList.remove('btn-loading');
+        }
+    }
+    
+    showAlert(message, type) {
+        const alertArea = document.getElementById('alertArea');
+        alertArea.textContent = '';
+        
+        const alert = document.createElement('div');
+        alert.className = `alert alert-${type}`;
+        alert.setAttribute('role', 'alert');
+        alert.textContent = message;
+        alertArea.appendChild(alert);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    new LoginPage();
+});
@@ -25,29 +25,62 @@
 
 
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body } = require('express-validator');
 const MerakiAPI = require('../config/meraki');
+const JobManager = require('../utils/jobs');
+const { SERIAL_PATTERN, serialValidation, overrideValidation, transferValidation, rmaValidation, releaseValidation, checkValidationResult } = require('../middleware/validation');
+const { authorize, scopedValidation } = require('../middleware/auth');
+const bulkRoutes = require('./bulk');
+const jobRoutes = require('./jobs');
+const operationRoutes = require('./operations');
+const snapshotRoutes = require('./snapshots');
+const bundleRoutes = require('./bundles');
+const profileRoutes = require('./profiles');
 
 const router = express.Router();
 const merakiAPI = new MerakiAPI();
+const jobManager = new JobManager({
+    retentionMs: (parseInt(process.env.JOB_RETENTION_MINUTES, 10) || 60) * 60 * 1000
+});
+
+// Organizations the user may see: whole organizations they hold a grant on, plus organizations
+// containing a granted network (with networkCount limited to those networks)
+const visibleOrganizations = async (access, organizations) => {
+    const visible = [];
+
+    for (const organization of organizations) {
+        if (access.canViewOrganization(organization.id)) {
+            visible.push(organization);
+            continue;
+        }
+        if (!organization.accessible || !access.hasNetworkGrants()) {
+            continue;
+        }
+
+        let networks;
+        try {
+            networks = await merakiAPI.getOrganizationNetworks(organization.id);
+        } catch (error) {
+            console.warn(`Could not check network access for organization ${organization.id}:`, error.message);
+            continue;
+        }
+        const networkCount = networks.filter(network => access.can('viewer', organization.id, network.id)).length;
+        if (networkCount > 0) {
+            visible.push({ ...organization, networkCount });
+        }
+    }
 
-// Validation middleware for serial numbers
-const serialValidation = [
-    body('failedSerial')
-        .trim()
-        .matches(/^[A-Z0-9]{4}-[A-Z0-9]{4}-[A-Z0-9]{4}$/i)
-        .withMessage('Invalid failed device serial format (should be XXXX-XXXX-XXXX)'),
-    body('replacementSerial')
-        .trim()
-        .matches(/^[A-Z0-9]{4}-[A-Z0-9]{4}-[A-Z0-9]{4}$/i)
-        .withMessage('Invalid replacement device serial format (should be XXXX-XXXX-XXXX)')
-];
+    return visible;
+};
 
 // Get all configured organizations
-router.get('/organizations', async (req, res) => {
+router.get('/organizations', authorize('viewer'), async (req, res) => {
     try {
         const result = await merakiAPI.getAllOrganizationsInfo();
-        res.json(result);
+        res.json({
+            ...result,
+            organizations: await visibleOrganizations(req.access, result.organizations)
+        });
     } catch (error) {
         console.error('Organizations endpoint error:', error);
         res.status(500).json({
@@ -58,12 +91,12 @@ router.get('/organizations', async (req, res) => {
 });
 
 // Search device across all organizations
-router.get('/search-device/:serial', async (req, res) => {
+router.get('/search-device/:serial', authorize('viewer'), async (req, res) => {
     try {
         const { serial } = req.params;
         
         // Validate serial format
-        if (!/^[A-Z0-9]{4}-[A-Z0-9]{4}-[A-Z0-9]{4}$/i.test(serial)) {
+        if (!SERIAL_PATTERN.test(serial)) {
             return res.status(400).json({
                 success: false,
                 message: 'Invalid serial number format (should be XXXX-XXXX-XXXX)'
@@ -71,7 +104,12 @@ router.get('/search-device/:serial', async (req, res) => {
         }
         
         const result = await merakiAPI.searchDeviceAcrossOrganizations(serial.toUpperCase());
-        res.json(result);
+        const results = result.results.filter(match => req.access.can('viewer', match.organizationId, match.networkId));
+        res.json({
+            ...result,
+            results,
+            found: results.length > 0
+        });
     } catch (error) {
         console.error('Device search endpoint error:', error);
         res.status(500).json({
@@ -82,9 +120,18 @@ router.get('/search-device/:serial', async (req, res) => {
 });
 
 // Get organization info (backward compatibility - returns first org)
-router.get('/organization', async (req, res) => {
+router.get('/organization', authorize('viewer'), async (req, res) => {
     try {
         const result = await merakiAPI.getOrganizationInfo();
+        if (result.success) {
+            const [visible] = await visibleOrganizations(req.access, [{ id: result.organization.id, accessible: true }]);
+            if (!visible) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'You are not permitted to view this organization'
+                });
+            }
+        }
         res.json(result);
     } catch (error) {
         console.error('Organization info endpoint error:', error);
@@ -96,9 +143,12 @@ router.get('/organization', async (req, res) => {
 });
 
 // Get networks in all organizations
-router.get('/networks', async (req, res) => {
+router.get('/networks', authorize('viewer'), async (req, res) => {
     try {
         const result = await merakiAPI.getNetworks();
+        if (result.success) {
+            result.networks = result.networks.filter(network => req.access.can('viewer', network.organizationId, network.id));
+        }
         res.json(result);
     } catch (error) {
         console.error('Networks endpoint error:', error);
@@ -110,16 +160,7 @@ router.get('/networks', async (req, res) => {
 });
 
 // Validate devices endpoint
-router.post('/validate-devices', serialValidation, async (req, res) => {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-        return res.status(400).json({
-            success: false,
-            message: 'Validation failed',
-            errors: errors.array()
-        });
-    }
-
+router.post('/validate-devices', authorize('validator'), serialValidation, checkValidationResult, async (req, res) => {
     const { failedSerial, replacementSerial } = req.body;
     
     try {
@@ -127,7 +168,7 @@ router.post('/validate-devices', serialValidation, async (req, res) => {
             failedSerial.toUpperCase(), 
             replacementSerial.toUpperCase()
         );
-        res.json(result);
+        res.json(scopedValidation(req.access, 'validator', result));
     } catch (error) {
         console.error('Validation endpoint error:', error);
         res.status(500).json({
@@ -137,39 +178,88 @@ router.post('/validate-devices', serialValidation, async (req, res) => {
     }
 });
 
-// Replace device endpoint
-router.post('/replace-device', serialValidation, async (req, res) => {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
+// Replace device endpoint (set dryRun to preview the planned changes without writing)
+router.post('/replace-device', authorize('validator'), [
+    ...serialValidation,
+    ...overrideValidation,
+    ...transferValidation,
+    ...rmaValidation,
+    ...releaseValidation,
+    body('dryRun')
+        .optional()
+        .isBoolean()
+        .withMessage('dryRun must be a boolean')
+], checkValidationResult, async (req, res) => {
+    const { failedSerial, replacementSerial, overrideReason } = req.body;
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+    const requiredRole = dryRun ? 'validator' : 'replacer';
+
+    if (!req.access.hasRole(requiredRole)) {
+        return res.status(403).json({
+            success: false,
+            message: `Requires the ${requiredRole} role`
+        });
+    }
+    
+    let transfer;
+    try {
+        transfer = await merakiAPI.resolveTransfer({
+            profile: req.body.profile,
+            categories: req.body.transfer,
+            templates: req.body.templates
+        });
+    } catch (error) {
         return res.status(400).json({
             success: false,
-            message: 'Validation failed',
-            errors: errors.array()
+            message: error.message
         });
     }
-
-    const { failedSerial, replacementSerial } = req.body;
     
     try {
-        // First validate devices to get network and organization context
-        const validation = await merakiAPI.validateDevices(
+        // First validate devices to get network and organization context; the resolved organization
+        // and network are checked before any detail is returned or anything is written
+        const validation = scopedValidation(req.access, requiredRole, await merakiAPI.validateDevices(
             failedSerial.toUpperCase(), 
             replacementSerial.toUpperCase()
-        );
+        ));
         
         if (!validation.success) {
             return res.json(validation);
         }
 
+        // Blocked pairs can still be previewed, but never replaced
+        const inventoryRelease = merakiAPI.getInventoryRelease(validation, req.body.releaseFromInventory, req.body.releaseConfirmed);
+        const blockingIssues = [
+            ...merakiAPI.getBlockingIssues(validation, overrideReason),
+            ...(inventoryRelease.issue ? [inventoryRelease.issue] : [])
+        ];
+        if (!dryRun && blockingIssues.length > 0) {
+            return res.json({
+                success: false,
+                message: `Replacement blocked: ${blockingIssues.join('; ')}`,
+                compatibility: validation.compatibility,
+                failedDeviceOnline: validation.failedDeviceOnline,
+                failedDeviceStatusUnknown: validation.failedDeviceStatusUnknown
+            });
+        }
+
         // Proceed with replacement using the found organization
         const result = await merakiAPI.replaceDevice(
             failedSerial.toUpperCase(),
             replacementSerial.toUpperCase(),
             validation.networkId,
-            validation.organizationId  // Pass the organization ID
+            validation.organizationId,  // Pass the organization ID
+            {
+                dryRun,
+                operator: req.user?.username,
+                override: merakiAPI.getOnlineOverride(validation, overrideReason, req.user?.username),
+                transfer,
+                rma: req.body.rma,
+                releaseFromInventory: inventoryRelease.release
+            }
         );
         
-        res.json(result);
+        res.json({ ...result, compatibility: validation.compatibility });
     } catch (error) {
         console.error('Replacement endpoint error:', error);
         res.status(500).json({
@@ -179,29 +269,99 @@ router.post('/replace-device', serialValidation, async (req, res) => {
     }
 });
 
+// Bulk replacement from CSV uploads
+router.use('/bulk', bulkRoutes(merakiAPI, jobManager));
+
+// Asynchronous replacement jobs with progress streaming
+router.use('/jobs', jobRoutes(merakiAPI, jobManager));
+
+// Audit history from the audit store
+router.use('/operations', operationRoutes(merakiAPI));
+
+// Pre-replacement configuration snapshots and restore
+router.use('/snapshots', snapshotRoutes(merakiAPI));
+
+// Configuration bundle export and import
+router.use('/bundles', bundleRoutes(merakiAPI));
+
+// Saved transfer profiles
+router.use('/profiles', profileRoutes(merakiAPI));
+
+// Cache hit/miss counters
+router.get('/cache/stats', authorize('viewer'), (req, res) => {
+    res.json({
+        success: true,
+        cache: merakiAPI.getCacheStats()
+    });
+});
+
+// Force a refresh of cached organizations, networks and inventory
+router.post('/cache/refresh', authorize('viewer'), [
+    body('organizationId')
+        .optional()
+        .isString()
+        .withMessage('organizationId must be a string')
+], checkValidationResult, async (req, res) => {
+    const { organizationId } = req.body;
+
+    try {
+        // Without an organizationId, only the organizations the user can see are refreshed
+        const requested = organizationId ? [organizationId] : Array.from(merakiAPI.organizations.keys());
+        const visible = await visibleOrganizations(req.access, requested.map(id => ({ id, accessible: true })));
+        if (organizationId && visible.length === 0) {
+            return res.status(403).json({
+                success: false,
+                message: 'You are not permitted to refresh this organization'
+            });
+        }
+
+        const removed = visible.reduce((total, organization) => total + merakiAPI.invalidateCache(organization.id), 0);
+        console.log(`🧹 Cache refreshed for ${visible.map(organization => organization.id).join(', ') || 'no organizations'}: ${removed} entries dropped`);
+
+        // Warm the cache again so the next page load is fast
+        const result = await merakiAPI.getAllOrganizationsInfo();
+        res.json({
+            success: true,
+            message: `Cache refreshed, ${removed} entries dropped`,
+            organizations: await visibleOrganizations(req.access, result.organizations),
+            cache: merakiAPI.getCacheStats()
+        });
+    } catch (error) {
+        console.error('Cache refresh endpoint error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to refresh cache'
+        });
+    }
+});
+
 // Health check endpoint
 router.get('/health', async (req, res) => {
     try {
         // Check all organizations connectivity as part of health check
         const allOrgsInfo = await merakiAPI.getAllOrganizationsInfo();
+        const organizations = await visibleOrganizations(req.access, allOrgsInfo.organizations);
         
-        const accessibleOrgs = allOrgsInfo.organizations.filter(org => org.accessible);
+        const accessibleOrgs = organizations.filter(org => org.accessible);
         
         res.json({
             success: true,
             message: 'API is healthy',
             timestamp: new Date().toISOString(),
             organizations: {
-                total: allOrgsInfo.organizations.length,
+                total: organizations.length,
                 accessible: accessibleOrgs.length,
-                details: allOrgsInfo.organizations.map(org => ({
+                details: organizations.map(org => ({
                     id: org.id,
                     name: org.name,
                     accessible: org.accessible,
                     networkCount: org.networkCount || 0,
                     error: org.error || null
                 }))
-            }
+            },
+            requests: merakiAPI.getRequestStats(),
+            audit: merakiAPI.getAuditStatus(),
+            cache: merakiAPI.getCacheStats()
         });
     } catch (error) {
         res.status(500).json({
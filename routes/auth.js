@@ -0,0 +1,184 @@
+/**
+ * @module meraki_ap_rma
+ * @author Eric Schriver <eschrive@cisco.com>
+ * @copyright Copyright (c) 2025 Cisco and/or its affiliates.
+ * @license Cisco Sample Code License, Version 1.1
+ */
+
+/**
+ * @license
+ * Copyright (c) 2025 Cisco and/or its affiliates.
+ *
+ * This software is licensed to you under the terms of the Cisco Sample
+ * Code License, Version 1.1 (the "License"). You may obtain a copy of the
+ * License at
+ *
+ *                https://developer.cisco.com/docs/licenses
+ *
+ * All use of the material herein must be in accordance with the terms of
+ * the License. All rights not expressly granted by the License are
+ * reserved. Unless required by applicable law or agreed to separately in
+ * writing, software distributed under the License is distributed on an "AS
+ * IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied.
+ */
+
+
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { body } = require('express-validator');
+const { checkValidationResult } = require('../middleware/validation');
+const { authenticate } = require('../middleware/auth');
+
+// Only allow local paths as post-login destinations. Parsing against a placeholder origin catches
+// what browsers read as another host ("//evil.com", "/\evil.com", embedded tabs or newlines).
+const safeReturnTo = (value) => {
+    if (typeof value !== 'string' || !value.startsWith('/')) {
+        return '/';
+    }
+    const base = 'http://localhost';
+    try {
+        const url = new URL(value, base);
+        return url.origin === base ? `${url.pathname}${url.search}${url.hash}` : '/';
+    } catch {
+        return '/';
+    }
+};
+
+// Start a fresh session for the user to prevent session fixation
+const establishSession = (req, user) => new Promise((resolve, reject) => {
+    req.session.regenerate(error => {
+        if (error) {
+            return reject(error);
+        }
+        req.session.user = { ...user, loggedInAt: new Date().toISOString() };
+        req.session.save(saveError => saveError ? reject(saveError) : resolve());
+    });
+});
+
+module.exports = (provider) => {
+    const router = express.Router();
+
+    const loginLimiter = rateLimit({
+        windowMs: 15 * 60 * 1000, // 15 minutes
+        max: 10, // limit each IP to 10 login attempts per windowMs
+        message: {
+            success: false,
+            message: 'Too many login attempts, please try again later.'
+        }
+    });
+
+    // Which login method the login page should offer
+    router.get('/config', (req, res) => {
+        res.json({
+            success: true,
+            provider: provider.name
+        });
+    });
+
+    // Current session user
+    router.get('/me', authenticate, (req, res) => {
+        res.json({
+            success: true,
+            user: req.user,
+            grants: req.access.grants
+        });
+    });
+
+    // Local username/password login
+    router.post('/login', loginLimiter, [
+        body('username')
+            .trim()
+            .notEmpty()
+            .withMessage('Username is required'),
+        body('password')
+            .notEmpty()
+            .withMessage('Password is required')
+    ], checkValidationResult, async (req, res) => {
+        if (provider.name !== 'local') {
+            return res.status(400).json({
+                success: false,
+                message: `Password login is not available with the ${provider.name} provider`
+            });
+        }
+
+        try {
+            const user = await provider.authenticate(req.body.username, req.body.password);
+            if (!user) {
+                console.warn(`🔒 Failed login for "${req.body.username}" from ${req.ip}`);
+                return res.status(401).json({
+                    success: false,
+                    message: 'Invalid username or password'
+                });
+            }
+
+            await establishSession(req, user);
+            console.log(`🔓 User logged in: ${user.username}`);
+            res.json({
+                success: true,
+                user: req.session.user
+            });
+        } catch (error) {
+            console.error('Login endpoint error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Login failed'
+            });
+        }
+    });
+
+    // Redirect to the OIDC identity provider
+    router.get('/oidc/login', loginLimiter, async (req, res) => {
+        if (provider.name !== 'oidc') {
+            return res.status(404).json({
+                success: false,
+                message: 'OIDC login is not enabled'
+            });
+        }
+
+        try {
+            req.session.returnTo = safeReturnTo(req.query.returnTo);
+            const url = await provider.getAuthorizationUrl(req.session);
+            req.session.save(() => res.redirect(url));
+        } catch (error) {
+            console.error('OIDC login error:', error.message);
+            res.redirect('/login.html?error=' + encodeURIComponent('Identity provider is unavailable'));
+        }
+    });
+
+    // OIDC redirect target: exchange the code and start the session
+    router.get('/oidc/callback', async (req, res) => {
+        if (provider.name !== 'oidc') {
+            return res.status(404).json({
+                success: false,
+                message: 'OIDC login is not enabled'
+            });
+        }
+
+        try {
+            const returnTo = safeReturnTo(req.session.returnTo);
+            const user = await provider.handleCallback(req.query, req.session);
+            await establishSession(req, user);
+            console.log(`🔓 User logged in via OIDC: ${user.username}`);
+            res.redirect(returnTo);
+        } catch (error) {
+            console.error('OIDC callback error:', error.message);
+            res.redirect('/login.html?error=' + encodeURIComponent('Login failed: ' + error.message));
+        }
+    });
+
+    router.post('/logout', (req, res) => {
+        const username = req.session?.user?.username;
+        req.session.destroy(() => {
+            res.clearCookie('rma.sid');
+            if (username) {
+                console.log(`🔒 User logged out: ${username}`);
+            }
+            res.json({
+                success: true
+            });
+        });
+    });
+
+    return router;
+};
@@ -0,0 +1,419 @@
+/**
+ * @module meraki_ap_rma
+ * @author Eric Schriver <eschrive@cisco.com>
+ * @copyright Copyright (c) 2025 Cisco and/or its affiliates.
+ * @license Cisco Sample Code License, Version 1.1
+ */
+
+/**
+ * @license
+ * Copyright (c) 2025 Cisco and/or its affiliates.
+ *
+ * This software is licensed to you under the terms of the Cisco Sample
+ * Code License, Version 1.1 (the "License"). You may obtain a copy of the
+ * License at
+ *
+ *                https://developer.cisco.com/docs/licenses
+ *
+ * All use of the material herein must be in accordance with the terms of
+ * the License. All rights not expressly granted by the License are
+ * reserved. Unless required by applicable law or agreed to separately in
+ * writing, software distributed under the License is distributed on an "AS
+ * IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied.
+ */
+
+
+const express = require('express');
+const { body } = require('express-validator');
+const { parseCsv, toCsv } = require('../utils/csv');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { RMA_FIELDS } = require('../config/rma');
+const {
+    SERIAL_PATTERN,
+    RMA_VALUE_PATTERN,
+    RMA_VALUE_MESSAGE,
+    transferValidation,
+    rmaFieldValidation,
+    releaseValidation,
+    checkValidationResult
+} = require('../middleware/validation');
+const { authorize, scopedValidation } = require('../middleware/auth');
+
+const MAX_ROWS = parseInt(process.env.BULK_MAX_ROWS, 10) || 200;
+const DEFAULT_CONCURRENCY = parseInt(process.env.BULK_CONCURRENCY, 10) || 2;
+const MAX_CONCURRENCY = parseInt(process.env.BULK_MAX_CONCURRENCY, 10) || 5;
+
+// Header names accepted for each column (case-insensitive)
+const COLUMN_ALIASES = {
+    failedserial: 'failedSerial',
+    failed: 'failedSerial',
+    replacementserial: 'replacementSerial',
+    replacement: 'replacementSerial',
+    networkid: 'networkId',
+    network: 'networkId',
+    organizationid: 'organizationId',
+    orgid: 'organizationId',
+    organization: 'organizationId',
+    casenumber: 'caseNumber',
+    rmacase: 'caseNumber',
+    rma: 'caseNumber',
+    ticketid: 'ticketId',
+    ticket: 'ticketId',
+    trackingnumber: 'trackingNumber',
+    tracking: 'trackingNumber'
+};
+const POSITIONAL_COLUMNS = ['failedSerial', 'replacementSerial', 'networkId', 'organizationId'];
+
+const RESULT_COLUMNS = [
+    'row', 'failedSerial', 'replacementSerial', 'organizationId', 'networkId',
+    'caseNumber', 'ticketId', 'trackingNumber',
+    'status', 'message', 'rolledBack', 'hostnameTransferred', 'releasedFromInventory'
+];
+
+// The RMA details a row carries, or undefined when it has none
+const rowRma = (source) => {
+    const rma = {};
+    for (const field of RMA_FIELDS) {
+        if (typeof source?.[field] === 'string' && source[field].trim()) {
+            rma[field] = source[field].trim();
+        }
+    }
+    return Object.keys(rma).length > 0 ? rma : undefined;
+};
+
+// Turn CSV text into replacement rows. A header row is optional; without one the
+// columns are failedSerial,replacementSerial[,networkId[,organizationId]].
+// caseNumber, ticketId and trackingNumber columns become the row's RMA details.
+const parseBulkCsv = (text) => {
+    // Spreadsheet exports often start with a UTF-8 byte order mark
+    const rows = parseCsv(text.replace(/^\uFEFF/, ''));
+    let columns = POSITIONAL_COLUMNS;
+
+    if (rows.length > 0 && !SERIAL_PATTERN.test(rows[0][0])) {
+        columns = rows.shift().map(name => COLUMN_ALIASES[name.replace(/[\s_-]/g, '').toLowerCase()] || null);
+        if (!columns.includes('failedSerial') || !columns.includes('replacementSerial')) {
+            throw new Error('CSV header must include failedSerial and replacementSerial columns');
+        }
+    }
+
+    return rows.map((cells, index) => {
+        const entry = { row: index + 1 };
+        const values = {};
+        columns.forEach((column, position) => {
+            if (column && cells[position]) {
+                values[column] = cells[position];
+            }
+        });
+        for (const [column, value] of Object.entries(values)) {
+            if (!RMA_FIELDS.includes(column)) {
+                entry[column] = value;
+            }
+        }
+        entry.failedSerial = (entry.failedSerial || '').toUpperCase();
+        entry.replacementSerial = (entry.replacementSerial || '').toUpperCase();
+        const rma = rowRma(values);
+        if (rma) {
+            entry.rma = rma;
+        }
+        return entry;
+    });
+};
+
+// Format and duplicate checks that need no API call
+const checkRow = (entry, seenSerials) => {
+    if (!SERIAL_PATTERN.test(entry.failedSerial)) {
+        return 'Invalid failed device serial format (should be XXXX-XXXX-XXXX)';
+    }
+    if (!SERIAL_PATTERN.test(entry.replacementSerial)) {
+        return 'Invalid replacement device serial format (should be XXXX-XXXX-XXXX)';
+    }
+    if (entry.failedSerial === entry.replacementSerial) {
+        return 'Failed and replacement serial numbers cannot be the same';
+    }
+    if (entry.rma && Object.values(entry.rma).some(value => !RMA_VALUE_PATTERN.test(value))) {
+        return RMA_VALUE_MESSAGE;
+    }
+    for (const serial of [entry.failedSerial, entry.replacementSerial]) {
+        if (seenSerials.has(serial)) {
+            return `Serial ${serial} already appears in row ${seenSerials.get(serial)}`;
+        }
+    }
+    seenSerials.set(entry.failedSerial, entry.row);
+    seenSerials.set(entry.replacementSerial, entry.row);
+    return null;
+};
+
+const clampConcurrency = (value) => {
+    const concurrency = parseInt(value, 10) || DEFAULT_CONCURRENCY;
+    return Math.min(Math.max(concurrency, 1), MAX_CONCURRENCY);
+};
+
+// What a row's progress entry shows while a bulk job runs
+const rowProgress = (entry, status, result = {}) => ({
+    row: entry.row,
+    failedSerial: entry.failedSerial,
+    replacementSerial: entry.replacementSerial,
+    organizationId: result.organizationId || entry.organizationId,
+    networkId: result.networkId || entry.networkId,
+    status,
+    ...(entry.rma ? { rma: entry.rma } : {}),
+    ...(result.message ? { message: result.message } : {}),
+    ...(result.rolledBack !== undefined ? { rolledBack: result.rolledBack } : {})
+});
+
+module.exports = (merakiAPI, jobManager) => {
+    const router = express.Router();
+
+    // Parse an uploaded CSV and validate every row without changing anything
+    router.post('/validate', authorize('validator'), [
+        body('csv')
+            .isString()
+            .notEmpty()
+            .withMessage('csv must contain the uploaded file contents'),
+        body('concurrency')
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage('concurrency must be a positive integer')
+    ], checkValidationResult, async (req, res) => {
+        let entries;
+        try {
+            entries = parseBulkCsv(req.body.csv);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        if (entries.length === 0 || entries.length > MAX_ROWS) {
+            return res.status(400).json({
+                success: false,
+                message: `CSV must contain between 1 and ${MAX_ROWS} rows`
+            });
+        }
+
+        try {
+            const seenSerials = new Map();
+            const formatErrors = entries.map(entry => checkRow(entry, seenSerials));
+
+            const rows = await mapWithConcurrency(entries, clampConcurrency(req.body.concurrency), async (entry, index) => {
+                if (formatErrors[index]) {
+                    return { ...entry, valid: false, message: formatErrors[index] };
+                }
+
+                const validation = scopedValidation(req.access, 'validator', await merakiAPI.validateDevices(entry.failedSerial, entry.replacementSerial, {
+                    organizationId: entry.organizationId,
+                    networkId: entry.networkId
+                }));
+
+                if (!validation.success) {
+                    return { ...entry, valid: false, message: validation.message };
+                }
+
+                const blockingIssues = merakiAPI.getBlockingIssues(validation);
+                if (blockingIssues.length > 0) {
+                    return { ...entry, valid: false, message: blockingIssues.join('; ') };
+                }
+
+                const { warnings, nonTransferable } = validation.compatibility;
+                return {
+                    ...entry,
+                    valid: true,
+                    message: 'Ready for replacement',
+                    warnings,
+                    nonTransferable,
+                    organizationId: validation.organizationId,
+                    organizationName: validation.organizationName,
+                    networkId: validation.networkId,
+                    networkName: validation.devices.failed.networkName,
+                    failedModel: validation.devices.failed.model,
+                    replacementModel: validation.devices.replacement.model,
+                    hostname: validation.devices.failed.name || null,
+                    releaseFromInventory: validation.releaseFromInventory
+                };
+            });
+
+            const validCount = rows.filter(row => row.valid).length;
+            res.json({
+                success: true,
+                rows,
+                summary: {
+                    total: rows.length,
+                    valid: validCount,
+                    invalid: rows.length - validCount
+                }
+            });
+        } catch (error) {
+            console.error('Bulk validation endpoint error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error during bulk validation'
+            });
+        }
+    });
+
+    // Replace the approved rows as a background job, re-validating each one right before it runs.
+    // The job's rows report per-row progress; its result holds every row's outcome and the results CSV.
+    // The transfer profile and inventory release choice apply to every row; each row may carry its own RMA details.
+    // Rows that would release a failed device fail unless releaseConfirmed is set, as for single replacements.
+    router.post('/replace', authorize('replacer'), [
+        body('rows')
+            .isArray({ min: 1, max: MAX_ROWS })
+            .withMessage(`rows must be an array of 1 to ${MAX_ROWS} replacements`),
+        body('rows.*.failedSerial')
+            .trim()
+            .matches(SERIAL_PATTERN)
+            .withMessage('Invalid failed device serial format (should be XXXX-XXXX-XXXX)'),
+        body('rows.*.replacementSerial')
+            .trim()
+            .matches(SERIAL_PATTERN)
+            .withMessage('Invalid replacement device serial format (should be XXXX-XXXX-XXXX)'),
+        body('rows.*.rma')
+            .optional({ values: 'null' })
+            .isObject()
+            .withMessage(`rows.*.rma must be an object with ${RMA_FIELDS.join(', ')}`),
+        rmaFieldValidation(RMA_FIELDS.map(field => `rows.*.rma.${field}`)),
+        body('concurrency')
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage('concurrency must be a positive integer'),
+        ...transferValidation,
+        ...releaseValidation
+    ], checkValidationResult, async (req, res) => {
+        let transfer;
+        try {
+            transfer = await merakiAPI.resolveTransfer({
+                profile: req.body.profile,
+                categories: req.body.transfer,
+                templates: req.body.templates
+            });
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        const seenSerials = new Map();
+        const entries = req.body.rows.map((row, index) => ({
+            row: row.row || index + 1,
+            failedSerial: row.failedSerial.toUpperCase(),
+            replacementSerial: row.replacementSerial.toUpperCase(),
+            organizationId: row.organizationId || undefined,
+            networkId: row.networkId || undefined,
+            rma: rowRma(row.rma)
+        }));
+        const formatErrors = entries.map(entry => checkRow(entry, seenSerials));
+        const concurrency = clampConcurrency(req.body.concurrency);
+        const operator = req.user?.username;
+        const access = req.access;
+        const { releaseFromInventory, releaseConfirmed } = req.body;
+
+        const replaceRow = async (entry, index) => {
+            if (formatErrors[index]) {
+                return { ...entry, status: 'failed', message: formatErrors[index] };
+            }
+
+            const validation = scopedValidation(access, 'replacer', await merakiAPI.validateDevices(entry.failedSerial, entry.replacementSerial, {
+                organizationId: entry.organizationId,
+                networkId: entry.networkId
+            }));
+
+            if (!validation.success) {
+                return { ...entry, status: 'failed', message: `Validation failed: ${validation.message}` };
+            }
+
+            const inventoryRelease = merakiAPI.getInventoryRelease(validation, releaseFromInventory, releaseConfirmed);
+            const blockingIssues = [
+                ...merakiAPI.getBlockingIssues(validation),
+                ...(inventoryRelease.issue ? [inventoryRelease.issue] : [])
+            ];
+            if (blockingIssues.length > 0) {
+                return { ...entry, status: 'failed', message: `Replacement blocked: ${blockingIssues.join('; ')}` };
+            }
+
+            const result = await merakiAPI.replaceDevice(
+                entry.failedSerial,
+                entry.replacementSerial,
+                validation.networkId,
+                validation.organizationId,
+                {
+                    operator,
+                    transfer,
+                    rma: entry.rma,
+                    releaseFromInventory: inventoryRelease.release
+                }
+            );
+
+            return {
+                ...entry,
+                organizationId: validation.organizationId,
+                networkId: validation.networkId,
+                status: result.success ? 'success' : 'failed',
+                message: result.auditError ? `${result.message}. ${result.auditError}` : result.message,
+                rolledBack: result.rolledBack,
+                hostnameTransferred: result.summary?.hostnameTransferred || null,
+                releasedFromInventory: result.summary?.inventoryRelease?.released || false,
+                operations: result.operations
+            };
+        };
+
+        const job = jobManager.create({
+            type: 'bulk',
+            phase: 'replacing',
+            operator,
+            profile: transfer.profile,
+            rows: entries.map(entry => rowProgress(entry, 'queued')),
+            progress: `0 of ${entries.length} rows finished`
+        }, async (update) => {
+            console.log(`📦 Starting bulk replacement of ${entries.length} devices (concurrency ${concurrency})`);
+            const rows = entries.map(entry => rowProgress(entry, 'queued'));
+            let finished = 0;
+
+            const results = await mapWithConcurrency(entries, concurrency, async (entry, index) => {
+                rows[index] = rowProgress(entry, 'running');
+                update({ rows });
+
+                let result;
+                try {
+                    result = await replaceRow(entry, index);
+                } catch (error) {
+                    // One broken row must not stop the rows still running beside it
+                    console.error(`❌ Bulk row ${entry.row} crashed:`, error);
+                    result = { ...entry, status: 'failed', message: `Internal error: ${error.message}` };
+                }
+
+                finished += 1;
+                rows[index] = rowProgress(entry, result.status, result);
+                update({ rows, progress: `${finished} of ${entries.length} rows finished` });
+                return result;
+            });
+
+            const succeeded = results.filter(result => result.status === 'success').length;
+            return {
+                success: true,
+                message: `Bulk replacement finished: ${succeeded} succeeded, ${results.length - succeeded} failed`,
+                results,
+                summary: {
+                    total: results.length,
+                    succeeded,
+                    failed: results.length - succeeded
+                },
+                resultsCsv: toCsv([
+                    RESULT_COLUMNS,
+                    ...results.map(result => RESULT_COLUMNS.map(column => result[column] ?? result.rma?.[column]))
+                ])
+            };
+        });
+
+        console.log(`🧵 Started bulk replacement job ${job.id} for ${entries.length} rows`);
+        res.status(202).json({
+            success: true,
+            jobId: job.id,
+            job
+        });
+    });
+
+    return router;
+};
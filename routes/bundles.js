@@ -0,0 +1,126 @@
+/**
+ * @module meraki_ap_rma
+ * @author Eric Schriver <eschrive@cisco.com>
+ * @copyright Copyright (c) 2025 Cisco and/or its affiliates.
+ * @license Cisco Sample Code License, Version 1.1
+ */
+
+/**
+ * @license
+ * Copyright (c) 2025 Cisco and/or its affiliates.
+ *
+ * This software is licensed to you under the terms of the Cisco Sample
+ * Code License, Version 1.1 (the "License"). You may obtain a copy of the
+ * License at
+ *
+ *                https://developer.cisco.com/docs/licenses
+ *
+ * All use of the material herein must be in accordance with the terms of
+ * the License. All rights not expressly granted by the License are
+ * reserved. Unless required by applicable law or agreed to separately in
+ * writing, software distributed under the License is distributed on an "AS
+ * IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied.
+ */
+
+
+const express = require('express');
+const { body, param } = require('express-validator');
+const { SERIAL_PATTERN, checkValidationResult } = require('../middleware/validation');
+const { authorize, forbidden } = require('../middleware/auth');
+const { createBundle, parseBundle } = require('../utils/bundles');
+
+module.exports = (merakiAPI) => {
+    const router = express.Router();
+
+    // Download a claimed device's transferable configuration as a versioned JSON bundle
+    router.get('/export/:serial', authorize('viewer'), [
+        param('serial')
+            .matches(SERIAL_PATTERN)
+            .withMessage('Invalid serial number format (should be XXXX-XXXX-XXXX)')
+    ], checkValidationResult, async (req, res) => {
+        const serial = req.params.serial.toUpperCase();
+
+        try {
+            let target;
+            try {
+                target = await merakiAPI.findClaimedDevice(serial);
+            } catch (error) {
+                return res.status(404).json({
+                    success: false,
+                    message: merakiAPI.formatErrorMessage(error)
+                });
+            }
+
+            if (!req.access.can('viewer', target.organizationId, target.networkId)) {
+                return forbidden(res, 'export configurations');
+            }
+
+            const exported = await merakiAPI.exportConfiguration(target);
+            const bundle = createBundle({ ...exported, exportedBy: req.user?.username });
+            console.log(`📤 Exported configuration bundle for ${serial}`);
+
+            res.set('Content-Disposition', `attachment; filename="config-${serial}-${bundle.exportedAt.slice(0, 10)}.json"`);
+            res.json(bundle);
+        } catch (error) {
+            console.error('Bundle export endpoint error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to export configuration bundle'
+            });
+        }
+    });
+
+    // Apply a bundle to a claimed serial with the same calls and rollback as a replacement
+    router.post('/import', authorize('replacer'), [
+        body('serial')
+            .trim()
+            .matches(SERIAL_PATTERN)
+            .withMessage('Invalid serial number format (should be XXXX-XXXX-XXXX)'),
+        body('bundle')
+            .exists()
+            .withMessage('bundle must contain the exported configuration bundle')
+    ], checkValidationResult, async (req, res) => {
+        const serial = req.body.serial.toUpperCase();
+
+        let bundle;
+        try {
+            bundle = parseBundle(req.body.bundle);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        try {
+            let target;
+            try {
+                target = await merakiAPI.findClaimedDevice(serial);
+            } catch (error) {
+                return res.json({
+                    success: false,
+                    message: merakiAPI.formatErrorMessage(error)
+                });
+            }
+
+            // Check the network that will be written to before anything is sent
+            if (!req.access.can('replacer', target.organizationId, target.networkId)) {
+                return forbidden(res, 'import configurations');
+            }
+
+            const result = await merakiAPI.importBundle(bundle, target, {
+                operator: req.user?.username
+            });
+            res.json(result);
+        } catch (error) {
+            console.error('Bundle import endpoint error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error during bundle import'
+            });
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,263 @@
+/**
+ * @module meraki_ap_rma
+ * @author Eric Schriver <eschrive@cisco.com>
+ * @copyright Copyright (c) 2025 Cisco and/or its affiliates.
+ * @license Cisco Sample Code License, Version 1.1
+ */
+
+/**
+ * @license
+ * Copyright (c) 2025 Cisco and/or its affiliates.
+ *
+ * This software is licensed to you under the terms of the Cisco Sample
+ * Code License, Version 1.1 (the "License"). You may obtain a copy of the
+ * License at
+ *
+ *                https://developer.cisco.com/docs/licenses
+ *
+ * All use of the material herein must be in accordance with the terms of
+ * the License. All rights not expressly granted by the License are
+ * reserved. Unless required by applicable law or agreed to separately in
+ * writing, software distributed under the License is distributed on an "AS
+ * IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied.
+ */
+
+
+const express = require('express');
+const { body } = require('express-validator');
+const { serialValidation, overrideValidation, transferValidation, rmaValidation, releaseValidation, checkValidationResult } = require('../middleware/validation');
+const { authorize, forbidden, scopedValidation } = require('../middleware/auth');
+
+const HEARTBEAT_INTERVAL = 25000;
+
+// Jobs are only visible to the user who started them
+const findOwnJob = (jobManager, req, res) => {
+    const job = jobManager.get(req.params.id);
+    if (!job || job.operator !== req.user?.username) {
+        res.status(404).json({
+            success: false,
+            message: 'Job not found or expired'
+        });
+        return null;
+    }
+    return job;
+};
+
+module.exports = (merakiAPI, jobManager) => {
+    const router = express.Router();
+
+    // Check a finished replacement and attach the report to the job result
+    const verifyAfterReplacement = async (result, operator, update) => {
+        update({ phase: 'verifying', progress: 'Starting verification' });
+
+        const snapshot = await merakiAPI.snapshots.get(result.operationId);
+        const outcome = snapshot
+            ? await merakiAPI.verifyReplacement(snapshot, {
+                operator,
+                onProgress: progress => update({ progress })
+            })
+            : { success: false, message: `No snapshot was saved for operation ${result.operationId}` };
+
+        return {
+            ...result,
+            verification: outcome.verification || null,
+            verificationMessage: outcome.message,
+            ...(outcome.auditError && !result.auditError ? { auditError: outcome.auditError } : {})
+        };
+    };
+
+    // Start a replacement job; validation, every replacement step and the optional verification run in the background
+    router.post('/', authorize('replacer'), [
+        ...serialValidation,
+        ...overrideValidation,
+        ...transferValidation,
+        ...rmaValidation,
+        ...releaseValidation,
+        body('verify')
+            .optional()
+            .isBoolean()
+            .withMessage('verify must be a boolean')
+    ], checkValidationResult, async (req, res) => {
+        const failedSerial = req.body.failedSerial.toUpperCase();
+        const replacementSerial = req.body.replacementSerial.toUpperCase();
+        const overrideReason = req.body.overrideReason || null;
+        const verify = req.body.verify === true || req.body.verify === 'true';
+        const { releaseFromInventory, releaseConfirmed } = req.body;
+
+        let transfer;
+        try {
+            transfer = await merakiAPI.resolveTransfer({
+                profile: req.body.profile,
+                categories: req.body.transfer,
+                templates: req.body.templates
+            });
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        const operator = req.user?.username;
+        const access = req.access;
+
+        const job = jobManager.create({
+            type: 'replacement',
+            phase: 'validating',
+            failedSerial,
+            replacementSerial,
+            operator
+        }, async (update) => {
+            // Validate devices to get network and organization context
+            const validation = scopedValidation(access, 'replacer', await merakiAPI.validateDevices(failedSerial, replacementSerial));
+            if (!validation.success) {
+                return validation;
+            }
+
+            const inventoryRelease = merakiAPI.getInventoryRelease(validation, releaseFromInventory, releaseConfirmed);
+            const blockingIssues = [
+                ...merakiAPI.getBlockingIssues(validation, overrideReason),
+                ...(inventoryRelease.issue ? [inventoryRelease.issue] : [])
+            ];
+            if (blockingIssues.length > 0) {
+                return {
+                    success: false,
+                    message: `Replacement blocked: ${blockingIssues.join('; ')}`,
+                    compatibility: validation.compatibility,
+                    failedDeviceOnline: validation.failedDeviceOnline,
+                    failedDeviceStatusUnknown: validation.failedDeviceStatusUnknown
+                };
+            }
+
+            update({
+                phase: 'replacing',
+                organizationId: validation.organizationId,
+                organizationName: validation.organizationName,
+                networkId: validation.networkId
+            });
+
+            const result = await merakiAPI.replaceDevice(
+                failedSerial,
+                replacementSerial,
+                validation.networkId,
+                validation.organizationId,
+                {
+                    operator,
+                    override: merakiAPI.getOnlineOverride(validation, overrideReason, operator),
+                    transfer,
+                    rma: req.body.rma,
+                    releaseFromInventory: inventoryRelease.release,
+                    onProgress: (operations, totalSteps) => update({ operations, totalSteps })
+                }
+            );
+
+            return verify && result.success ? verifyAfterReplacement(result, operator, update) : result;
+        });
+
+        console.log(`🧵 Started replacement job ${job.id}: ${failedSerial} -> ${replacementSerial}`);
+        res.status(202).json({
+            success: true,
+            jobId: job.id,
+            job
+        });
+    });
+
+    // Verify an earlier replacement on demand; the device may take minutes to come online
+    router.post('/verify', authorize('validator'), [
+        body('operationId')
+            .isUUID()
+            .withMessage('operationId must be an operation ID')
+    ], checkValidationResult, async (req, res) => {
+        try {
+            const snapshot = await merakiAPI.snapshots.get(req.body.operationId);
+            if (!snapshot || !req.access.can('viewer', snapshot.organizationId, snapshot.networkId)) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Operation not found'
+                });
+            }
+            if (!req.access.can('validator', snapshot.organizationId, snapshot.networkId)) {
+                return forbidden(res, 'verify replacements');
+            }
+
+            const operator = req.user?.username;
+            const job = jobManager.create({
+                type: 'verification',
+                phase: 'verifying',
+                operationId: snapshot.id,
+                failedSerial: snapshot.failedSerial,
+                replacementSerial: snapshot.replacementSerial,
+                operator
+            }, update => merakiAPI.verifyReplacement(snapshot, {
+                operator,
+                onProgress: progress => update({ progress })
+            }));
+
+            console.log(`🧵 Started verification job ${job.id} for operation ${snapshot.id}`);
+            res.status(202).json({
+                success: true,
+                jobId: job.id,
+                job
+            });
+        } catch (error) {
+            console.error('Verification endpoint error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error while starting verification'
+            });
+        }
+    });
+
+    // Current state of a job
+    router.get('/:id', (req, res) => {
+        const job = findOwnJob(jobManager, req, res);
+        if (!job) {
+            return;
+        }
+
+        res.json({
+            success: true,
+            job
+        });
+    });
+
+    // Server-Sent Events stream of job snapshots; closes once the job has finished
+    router.get('/:id/events', (req, res) => {
+        const job = findOwnJob(jobManager, req, res);
+        if (!job) {
+            return;
+        }
+
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive'
+        });
+        res.flushHeaders();
+
+        const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_INTERVAL);
+        const onUpdate = (snapshot) => {
+            if (snapshot.id === job.id) {
+                send(snapshot);
+            }
+        };
+        const cleanup = () => {
+            clearInterval(heartbeat);
+            jobManager.off('update', onUpdate);
+        };
+        const send = (snapshot) => {
+            res.write(`data: ${JSON.stringify(snapshot)}\n\n`);
+            if (jobManager.isFinished(snapshot)) {
+                cleanup();
+                res.end();
+            }
+        };
+
+        jobManager.on('update', onUpdate);
+        req.on('close', cleanup);
+        send(job);
+    });
+
+    return router;
+};
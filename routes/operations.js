@@ -0,0 +1,160 @@
+/**
+ * @module meraki_ap_rma
+ * @author Eric Schriver <eschrive@cisco.com>
+ * @copyright Copyright (c) 2025 Cisco and/or its affiliates.
+ * @license Cisco Sample Code License, Version 1.1
+ */
+
+/**
+ * @license
+ * Copyright (c) 2025 Cisco and/or its affiliates.
+ *
+ * This software is licensed to you under the terms of the Cisco Sample
+ * Code License, Version 1.1 (the "License"). You may obtain a copy of the
+ * License at
+ *
+ *                https://developer.cisco.com/docs/licenses
+ *
+ * All use of the material herein must be in accordance with the terms of
+ * the License. All rights not expressly granted by the License are
+ * reserved. Unless required by applicable law or agreed to separately in
+ * writing, software distributed under the License is distributed on an "AS
+ * IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied.
+ */
+
+
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { SERIAL_PATTERN, checkValidationResult, rmaFieldValidation } = require('../middleware/validation');
+const { authorize, forbidden } = require('../middleware/auth');
+const { RMA_FIELDS, RMA_STATUSES, RMA_STATUS_KEYS } = require('../config/rma');
+
+const STATUSES = ['SUCCESS', 'FAILED', 'ROLLBACK', 'ROLLBACK_FAILED', 'RESTORE', 'RESTORE_FAILED', 'IMPORT', 'IMPORT_FAILED', 'VERIFY', 'VERIFY_FAILED', 'RMA_UPDATE'];
+const MAX_PAGE_SIZE = 200;
+
+module.exports = (merakiAPI) => {
+    const router = express.Router();
+
+    // Completed replacements carry their current RMA record from the snapshot, which later updates change
+    const withCurrentRma = (entries) => Promise.all(entries.map(async entry => {
+        if (entry.status !== 'SUCCESS' || !entry.snapshotId) {
+            return entry;
+        }
+        try {
+            const snapshot = await merakiAPI.snapshots.get(entry.snapshotId);
+            return snapshot?.rma ? { ...entry, currentRma: snapshot.rma } : entry;
+        } catch (error) {
+            console.warn(`Could not read the RMA record of ${entry.snapshotId}:`, error.message);
+            return entry;
+        }
+    }));
+
+    // Past operations from the audit store, newest first, limited to what the caller may see
+    router.get('/', authorize('viewer'), [
+        query('serial')
+            .optional()
+            .trim()
+            .matches(SERIAL_PATTERN)
+            .withMessage('Invalid serial number format (should be XXXX-XXXX-XXXX)'),
+        query('status')
+            .optional()
+            .custom(value => String(value).split(',').every(status => STATUSES.includes(status.trim().toUpperCase())))
+            .withMessage(`status must be one or more of ${STATUSES.join(', ')}`),
+        query(['organizationId', 'networkId', 'user'])
+            .optional()
+            .isString()
+            .trim(),
+        query(['from', 'to'])
+            .optional()
+            .isISO8601()
+            .withMessage('from and to must be ISO 8601 dates'),
+        query('page')
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage('page must be a positive integer'),
+        query('pageSize')
+            .optional()
+            .isInt({ min: 1, max: MAX_PAGE_SIZE })
+            .withMessage(`pageSize must be between 1 and ${MAX_PAGE_SIZE}`)
+    ], checkValidationResult, async (req, res) => {
+        const { serial, status, organizationId, networkId, user, from, to } = req.query;
+
+        // A date without a time means the whole day for "to"
+        const toDate = to && /^\d{4}-\d{2}-\d{2}$/.test(to) ? new Date(`${to}T23:59:59.999Z`) : to && new Date(to);
+
+        try {
+            const result = await merakiAPI.auditStore.query({
+                serial: serial && serial.toUpperCase(),
+                status: status && status.split(',').map(value => value.trim().toUpperCase()),
+                organizationId,
+                networkId,
+                user,
+                from: from && new Date(from),
+                to: toDate
+            }, {
+                page: parseInt(req.query.page, 10) || 1,
+                pageSize: parseInt(req.query.pageSize, 10) || 50
+            }, entry => req.access.can('viewer', entry.organizationId, entry.networkId));
+
+            res.json({
+                success: true,
+                operations: await withCurrentRma(result.entries),
+                rmaStatuses: RMA_STATUSES,
+                paging: {
+                    page: result.page,
+                    pageSize: result.pageSize,
+                    total: result.total,
+                    totalPages: result.totalPages
+                }
+            });
+        } catch (error) {
+            console.error('Operations endpoint error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to read the audit history'
+            });
+        }
+    });
+
+    // Move a replacement forward along its RMA lifecycle (replaced → shipped → closed) and/or update its case details
+    router.patch('/:id/rma', authorize('replacer'), [
+        param('id')
+            .isUUID()
+            .withMessage('Operation ID must be a UUID'),
+        body('status')
+            .optional()
+            .isIn(RMA_STATUS_KEYS)
+            .withMessage(`status must be one of ${RMA_STATUS_KEYS.join(', ')}`),
+        rmaFieldValidation(RMA_FIELDS),
+        body()
+            .custom(value => value.status !== undefined || RMA_FIELDS.some(field => value[field] !== undefined))
+            .withMessage(`Send a status and/or any of ${RMA_FIELDS.join(', ')}`)
+    ], checkValidationResult, async (req, res) => {
+        try {
+            const snapshot = await merakiAPI.snapshots.get(req.params.id);
+            if (!snapshot || !req.access.can('viewer', snapshot.organizationId, snapshot.networkId)) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Operation not found'
+                });
+            }
+            if (!req.access.can('replacer', snapshot.organizationId, snapshot.networkId)) {
+                return forbidden(res, 'update RMA cases');
+            }
+
+            const result = await merakiAPI.updateRma(snapshot, req.body, {
+                operator: req.user?.username
+            });
+            res.status(result.success ? 200 : 400).json(result);
+        } catch (error) {
+            console.error('RMA update endpoint error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to update the RMA record'
+            });
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,127 @@
+/**
+ * @module meraki_ap_rma
+ * @author Eric Schriver <eschrive@cisco.com>
+ * @copyright Copyright (c) 2025 Cisco and/or its affiliates.
+ * @license Cisco Sample Code License, Version 1.1
+ */
+
+/**
+ * @license
+ * Copyright (c) 2025 Cisco and/or its affiliates.
+ *
+ * This software is licensed to you under the terms of the Cisco Sample
+ * Code License, Version 1.1 (the "License"). You may obtain a copy of the
+ * License at
+ *
+ *                https://developer.cisco.com/docs/licenses
+ *
+ * All use of the material herein must be in accordance with the terms of
+ * the License. All rights not expressly granted by the License are
+ * reserved. Unless required by applicable law or agreed to separately in
+ * writing, software distributed under the License is distributed on an "AS
+ * IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied.
+ */
+
+
+const express = require('express');
+const { body, param } = require('express-validator');
+const { checkValidationResult, templateValidation } = require('../middleware/validation');
+const { authorize } = require('../middleware/auth');
+const { TRANSFER_CATEGORIES, CATEGORY_KEYS } = require('../config/transferCategories');
+const { TEMPLATE_VARIABLES, mergeTemplates } = require('../utils/templates');
+
+// Profiles are shared by every user of the portal; anyone who can replace devices may change them
+module.exports = (merakiAPI) => {
+    const router = express.Router();
+
+    const nameValidation = param('name')
+        .matches(/^[\w .-]{1,50}$/)
+        .withMessage('Profile names are 1 to 50 letters, digits, spaces, dots, dashes or underscores');
+
+    // The transfer categories, template variables and the saved profiles
+    router.get('/', authorize('validator'), async (req, res) => {
+        try {
+            res.json({
+                success: true,
+                categories: TRANSFER_CATEGORIES.map(({ key, label }) => ({ key, label })),
+                templateVariables: TEMPLATE_VARIABLES,
+                profiles: await merakiAPI.profiles.list()
+            });
+        } catch (error) {
+            console.error('Profiles endpoint error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to read transfer profiles'
+            });
+        }
+    });
+
+    // Create or replace a profile
+    router.put('/:name', authorize('replacer'), [
+        nameValidation,
+        body('categories')
+            .isArray({ min: 1 })
+            .withMessage('categories must be a non-empty list'),
+        body('categories.*')
+            .isIn(CATEGORY_KEYS)
+            .withMessage(`categories must be among: ${CATEGORY_KEYS.join(', ')}`),
+        body('description')
+            .optional()
+            .isString()
+            .trim()
+            .isLength({ max: 200 })
+            .withMessage('description must be at most 200 characters'),
+        templateValidation('templates')
+    ], checkValidationResult, async (req, res) => {
+        try {
+            const existing = await merakiAPI.profiles.get(req.params.name);
+            const profile = await merakiAPI.profiles.save({
+                name: existing ? existing.name : req.params.name,
+                description: req.body.description || '',
+                categories: CATEGORY_KEYS.filter(key => req.body.categories.includes(key)),
+                templates: mergeTemplates(req.body.templates),
+                updatedBy: req.user?.username || null,
+                updatedAt: new Date().toISOString()
+            });
+            console.log(`💾 Transfer profile "${profile.name}" saved by ${profile.updatedBy || 'unknown user'}`);
+
+            res.json({
+                success: true,
+                message: `Profile "${profile.name}" ${existing ? 'updated' : 'created'}`,
+                profile
+            });
+        } catch (error) {
+            console.error('Profile save endpoint error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to save transfer profile'
+            });
+        }
+    });
+
+    router.delete('/:name', authorize('replacer'), nameValidation, checkValidationResult, async (req, res) => {
+        try {
+            if (!await merakiAPI.profiles.delete(req.params.name)) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Profile not found'
+                });
+            }
+            console.log(`🗑️  Transfer profile "${req.params.name}" deleted by ${req.user?.username || 'unknown user'}`);
+
+            res.json({
+                success: true,
+                message: `Profile "${req.params.name}" deleted`
+            });
+        } catch (error) {
+            console.error('Profile delete endpoint error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to delete transfer profile'
+            });
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,114 @@
+/**
+ * @module meraki_ap_rma
+ * @author Eric Schriver <eschrive@cisco.com>
+ * @copyright Copyright (c) 2025 Cisco and/or its affiliates.
+ * @license Cisco Sample Code License, Version 1.1
+ */
+
+/**
+ * @license
+ * Copyright (c) 2025 Cisco and/or its affiliates.
+ *
+ * This software is licensed to you under the terms of the Cisco Sample
+ * Code License, Version 1.1 (the "License"). You may obtain a copy of the
+ * License at
+ *
+ *                https://developer.cisco.com/docs/licenses
+ *
+ * All use of the material herein must be in accordance with the terms of
+ * the License. All rights not expressly granted by the License are
+ * reserved. Unless required by applicable law or agreed to separately in
+ * writing, software distributed under the License is distributed on an "AS
+ * IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied.
+ */
+
+
+const express = require('express');
+const { body, param } = require('express-validator');
+const { SERIAL_PATTERN, checkValidationResult } = require('../middleware/validation');
+const { authorize, forbidden } = require('../middleware/auth');
+
+module.exports = (merakiAPI) => {
+    const router = express.Router();
+
+    const idValidation = param('id')
+        .isUUID()
+        .withMessage('Snapshot ID must be an operation ID');
+
+    // Load the snapshot for :id, answering 404 when it is missing or outside the user's grants
+    const findSnapshot = async (req, res) => {
+        const snapshot = await merakiAPI.snapshots.get(req.params.id);
+        if (!snapshot || !req.access.can('viewer', snapshot.organizationId, snapshot.networkId)) {
+            res.status(404).json({
+                success: false,
+                message: 'Snapshot not found'
+            });
+            return null;
+        }
+        return snapshot;
+    };
+
+    // The configuration captured before a replacement
+    router.get('/:id', authorize('viewer'), idValidation, checkValidationResult, async (req, res) => {
+        try {
+            const snapshot = await findSnapshot(req, res);
+            if (snapshot) {
+                res.json({
+                    success: true,
+                    snapshot
+                });
+            }
+        } catch (error) {
+            console.error('Snapshot endpoint error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to read snapshot'
+            });
+        }
+    });
+
+    // Reapply a snapshot to any serial in the snapshot's organization
+    router.post('/:id/restore', authorize('replacer'), [
+        idValidation,
+        body('serial')
+            .trim()
+            .matches(SERIAL_PATTERN)
+            .withMessage('Invalid serial number format (should be XXXX-XXXX-XXXX)')
+    ], checkValidationResult, async (req, res) => {
+        try {
+            const snapshot = await findSnapshot(req, res);
+            if (!snapshot) {
+                return;
+            }
+
+            let target;
+            try {
+                target = await merakiAPI.resolveRestoreTarget(snapshot, req.body.serial.toUpperCase());
+            } catch (error) {
+                return res.json({
+                    success: false,
+                    message: merakiAPI.formatErrorMessage(error)
+                });
+            }
+
+            // Check the network that will be written to before anything is sent
+            if (!req.access.can('replacer', snapshot.organizationId, target.networkId)) {
+                return forbidden(res, 'restore snapshots');
+            }
+
+            const result = await merakiAPI.restoreSnapshot(snapshot, target, {
+                operator: req.user?.username
+            });
+            res.json(result);
+        } catch (error) {
+            console.error('Snapshot restore endpoint error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error during snapshot restore'
+            });
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,143 @@
+/**
+ * @module meraki_ap_rma
+ * @author Eric Schriver <eschrive@cisco.com>
+ * @copyright Copyright (c) 2025 Cisco and/or its affiliates.
+ * @license Cisco Sample Code License, Version 1.1
+ */
+
+/**
+ * @license
+ * Copyright (c) 2025 Cisco and/or its affiliates.
+ *
+ * This software is licensed to you under the terms of the Cisco Sample
+ * Code License, Version 1.1 (the "License"). You may obtain a copy of the
+ * License at
+ *
+ *                https://developer.cisco.com/docs/licenses
+ *
+ * All use of the material herein must be in accordance with the terms of
+ * the License. All rights not expressly granted by the License are
+ * reserved. Unless required by applicable law or agreed to separately in
+ * writing, software distributed under the License is distributed on an "AS
+ * IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied.
+ */
+
+
+// Versioned JSON bundles of a device's transferable configuration, for export/import.
+// Bump BUNDLE_VERSION when the layout changes and keep parseBundle able to read older versions.
+// Version 2 added the model-specific settings sections, version 3 switch routing.
+
+const { findSection } = require('../config/deviceSettings');
+
+const BUNDLE_FORMAT = 'meraki-rma-config-bundle';
+const BUNDLE_VERSION = 3;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// source: { serial, model, productType, organizationId, networkId }
+// configuration: { device, radioSettings, switchPorts, switchRouting, settings } as read from the device
+const createBundle = ({ source, configuration, exportedBy }) => {
+    let radioSettings = null;
+    if (configuration.radioSettings) {
+        const { serial, ...settings } = configuration.radioSettings; // Serial is device specific
+        radioSettings = settings;
+    }
+
+    // Interface and route IDs only mean something on the device they were read from
+    let switchRouting = null;
+    if (configuration.switchRouting) {
+        switchRouting = {
+            interfaces: configuration.switchRouting.interfaces.map(({ interfaceId, ...routingInterface }) => routingInterface),
+            staticRoutes: configuration.switchRouting.staticRoutes.map(({ staticRouteId, ...route }) => route)
+        };
+    }
+
+    return {
+        format: BUNDLE_FORMAT,
+        version: BUNDLE_VERSION,
+        exportedAt: new Date().toISOString(),
+        exportedBy: exportedBy || null,
+        source,
+        configuration: {
+            device: configuration.device,
+            radioSettings,
+            switchPorts: configuration.switchPorts || null,
+            switchRouting,
+            settings: configuration.settings || {}
+        }
+    };
+};
+
+// Check an uploaded bundle and return it; throws with a message fit for the operator
+const parseBundle = (data) => {
+    let bundle = data;
+    if (typeof data === 'string') {
+        try {
+            bundle = JSON.parse(data);
+        } catch (error) {
+            throw new Error('Bundle is not valid JSON');
+        }
+    }
+
+    if (!isPlainObject(bundle) || bundle.format !== BUNDLE_FORMAT) {
+        throw new Error(`Not a configuration bundle (expected format "${BUNDLE_FORMAT}")`);
+    }
+    if (!Number.isInteger(bundle.version) || bundle.version < 1 || bundle.version > BUNDLE_VERSION) {
+        throw new Error(`Unsupported bundle version ${bundle.version} (this portal reads up to version ${BUNDLE_VERSION})`);
+    }
+
+    const { configuration } = bundle;
+    if (!isPlainObject(configuration) || !isPlainObject(configuration.device)) {
+        throw new Error('Bundle has no device configuration');
+    }
+    if (configuration.radioSettings != null && !isPlainObject(configuration.radioSettings)) {
+        throw new Error('Bundle radioSettings must be an object');
+    }
+    if (configuration.switchPorts != null && (
+        !Array.isArray(configuration.switchPorts) ||
+        !configuration.switchPorts.every(port => isPlainObject(port) && port.portId !== undefined)
+    )) {
+        throw new Error('Bundle switchPorts must be a list of ports with a portId');
+    }
+    if (configuration.switchRouting != null && (
+        !isPlainObject(configuration.switchRouting) ||
+        !Array.isArray(configuration.switchRouting.interfaces) ||
+        !configuration.switchRouting.interfaces.every(routingInterface => isPlainObject(routingInterface) &&
+            routingInterface.vlanId !== undefined && (routingInterface.dhcp == null || isPlainObject(routingInterface.dhcp))) ||
+        !Array.isArray(configuration.switchRouting.staticRoutes) ||
+        !configuration.switchRouting.staticRoutes.every(route => isPlainObject(route) && route.subnet)
+    )) {
+        throw new Error('Bundle switchRouting must list interfaces with a vlanId and static routes with a subnet');
+    }
+    if (configuration.settings != null && !isPlainObject(configuration.settings)) {
+        throw new Error('Bundle settings must be an object');
+    }
+    for (const [key, value] of Object.entries(configuration.settings || {})) {
+        if (!findSection(key)) {
+            throw new Error(`Bundle has an unknown settings section "${key}"`);
+        }
+        if (!isPlainObject(value)) {
+            throw new Error(`Bundle settings section "${key}" must be an object`);
+        }
+    }
+
+    return {
+        ...bundle,
+        source: isPlainObject(bundle.source) ? bundle.source : {},
+        configuration: {
+            device: configuration.device,
+            radioSettings: configuration.radioSettings || null,
+            switchPorts: configuration.switchPorts || null,
+            switchRouting: configuration.switchRouting || null,
+            settings: configuration.settings || {}
+        }
+    };
+};
+
+module.exports = {
+    BUNDLE_FORMAT,
+    BUNDLE_VERSION,
+    createBundle,
+    parseBundle
+};
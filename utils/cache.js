@@ -0,0 +1,122 @@
+/**
+ * @module meraki_ap_rma
+ * @author Eric Schriver <eschrive@cisco.com>
+ * @copyright Copyright (c) 2025 Cisco and/or its affiliates.
+ * @license Cisco Sample Code License, Version 1.1
+ */
+
+/**
+ * @license
+ * Copyright (c) 2025 Cisco and/or its affiliates.
+ *
+ * This software is licensed to you under the terms of the Cisco Sample
+ * Code License, Version 1.1 (the "License"). You may obtain a copy of the
+ * License at
+ *
+ *                https://developer.cisco.com/docs/licenses
+ *
+ * All use of the material herein must be in accordance with the terms of
+ * the License. All rights not expressly granted by the License are
+ * reserved. Unless required by applicable law or agreed to separately in
+ * writing, software distributed under the License is distributed on an "AS
+ * IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied.
+ */
+
+
+// In-memory cache with per-entry TTLs and hit/miss counters per resource.
+// Keys are "<resource>:<id>..." so whole resources or organizations can be invalidated by prefix.
+
+class TTLCache {
+    constructor() {
+        this.entries = new Map();
+        this.pending = new Map();
+        this.counters = new Map();
+    }
+
+    count(key, outcome) {
+        const resource = key.split(':')[0];
+        if (!this.counters.has(resource)) {
+            this.counters.set(resource, { hits: 0, misses: 0 });
+        }
+        this.counters.get(resource)[outcome]++;
+    }
+
+    get(key) {
+        const entry = this.entries.get(key);
+        if (entry && entry.expiresAt > Date.now()) {
+            return entry;
+        }
+        this.entries.delete(key);
+        return null;
+    }
+
+    set(key, value, ttlMs) {
+        if (ttlMs > 0) {
+            this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+        }
+    }
+
+    // Return the cached value or load it once; concurrent callers share the same load
+    async wrap(key, ttlMs, loader) {
+        const entry = this.get(key);
+        if (entry) {
+            this.count(key, 'hits');
+            return entry.value;
+        }
+
+        this.count(key, 'misses');
+        if (this.pending.has(key)) {
+            return this.pending.get(key);
+        }
+
+        const load = (async () => {
+            try {
+                const value = await loader();
+                this.set(key, value, ttlMs);
+                return value;
+            } finally {
+                this.pending.delete(key);
+            }
+        })();
+        this.pending.set(key, load);
+        return load;
+    }
+
+    // Drop one entry; returns how many were removed (0 or 1)
+    delete(key) {
+        return this.entries.delete(key) ? 1 : 0;
+    }
+
+    // Drop every entry whose key starts with prefix (everything when no prefix is given)
+    invalidate(prefix = '') {
+        let removed = 0;
+        for (const key of this.entries.keys()) {
+            if (key.startsWith(prefix)) {
+                this.entries.delete(key);
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    stats() {
+        let hits = 0;
+        let misses = 0;
+        const resources = {};
+        for (const [resource, counter] of this.counters) {
+            resources[resource] = { ...counter };
+            hits += counter.hits;
+            misses += counter.misses;
+        }
+
+        return {
+            entries: this.entries.size,
+            hits,
+            misses,
+            resources
+        };
+    }
+}
+
+module.exports = TTLCache;
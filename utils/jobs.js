@@ -0,0 +1,106 @@
+/**
+ * @module meraki_ap_rma
+ * @author Eric Schriver <eschrive@cisco.com>
+ * @copyright Copyright (c) 2025 Cisco and/or its affiliates.
+ * @license Cisco Sample Code License, Version 1.1
+ */
+
+/**
+ * @license
+ * Copyright (c) 2025 Cisco and/or its affiliates.
+ *
+ * This software is licensed to you under the terms of the Cisco Sample
+ * Code License, Version 1.1 (the "License"). You may obtain a copy of the
+ * License at
+ *
+ *                https://developer.cisco.com/docs/licenses
+ *
+ * All use of the material herein must be in accordance with the terms of
+ * the License. All rights not expressly granted by the License are
+ * reserved. Unless required by applicable law or agreed to separately in
+ * writing, software distributed under the License is distributed on an "AS
+ * IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied.
+ */
+
+
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+
+const FINISHED_STATUSES = ['completed', 'failed'];
+
+// In-memory registry of long-running jobs. Emits 'update' with a job snapshot on every change.
+class JobManager extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.jobs = new Map();
+        this.retentionMs = options.retentionMs || 60 * 60 * 1000;
+        this.setMaxListeners(0); // one listener per open event stream
+    }
+
+    // Register a job and start its runner on the next tick. The runner receives
+    // update(patch) to publish progress and resolves with a { success, message } result.
+    create(details, runner) {
+        const now = new Date().toISOString();
+        const job = {
+            id: crypto.randomUUID(),
+            status: 'queued',
+            ...details,
+            operations: [],
+            totalSteps: null,
+            result: null,
+            error: null,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        this.jobs.set(job.id, job);
+        setImmediate(() => this.run(job, runner));
+        return this.snapshot(job);
+    }
+
+    async run(job, runner) {
+        this.update(job.id, { status: 'running' });
+
+        try {
+            const result = await runner(patch => this.update(job.id, patch));
+            this.update(job.id, {
+                status: result.success ? 'completed' : 'failed',
+                operations: result.operations || job.operations,
+                result,
+                error: result.success ? null : result.message
+            });
+        } catch (error) {
+            console.error(`❌ Job ${job.id} crashed:`, error);
+            this.update(job.id, { status: 'failed', error: error.message });
+        }
+
+        // Keep finished jobs around long enough for clients to reconnect
+        setTimeout(() => this.jobs.delete(job.id), this.retentionMs).unref();
+    }
+
+    update(id, patch) {
+        const job = this.jobs.get(id);
+        if (!job) {
+            return;
+        }
+
+        Object.assign(job, patch, { updatedAt: new Date().toISOString() });
+        this.emit('update', this.snapshot(job));
+    }
+
+    get(id) {
+        const job = this.jobs.get(id);
+        return job ? this.snapshot(job) : null;
+    }
+
+    isFinished(job) {
+        return FINISHED_STATUSES.includes(job.status);
+    }
+
+    snapshot(job) {
+        return JSON.parse(JSON.stringify(job));
+    }
+}
+
+module.exports = JobManager;
@@ -0,0 +1,75 @@
+/**
+ * @module meraki_ap_rma
+ * @author Eric Schriver <eschrive@cisco.com>
+ * @copyright Copyright (c) 2025 Cisco and/or its affiliates.
+ * @license Cisco Sample Code License, Version 1.1
+ */
+
+/**
+ * @license
+ * Copyright (c) 2025 Cisco and/or its affiliates.
+ *
+ * This software is licensed to you under the terms of the Cisco Sample
+ * Code License, Version 1.1 (the "License"). You may obtain a copy of the
+ * License at
+ *
+ *                https://developer.cisco.com/docs/licenses
+ *
+ * All use of the material herein must be in accordance with the terms of
+ * the License. All rights not expressly granted by the License are
+ * reserved. Unless required by applicable law or agreed to separately in
+ * writing, software distributed under the License is distributed on an "AS
+ * IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied.
+ */
+
+
+// Follow Meraki's Link header pagination until there is no next page
+
+// URL of the rel="next" entry in a Link header, or null on the last page
+const parseNextLink = (linkHeader) => {
+    if (!linkHeader) {
+        return null;
+    }
+
+    for (const part of linkHeader.split(',')) {
+        const match = part.match(/<([^>]+)>\s*;\s*rel="?next"?/i);
+        if (match) {
+            return match[1];
+        }
+    }
+
+    return null;
+};
+
+// GET every page of a list endpoint and return the concatenated items.
+// perPage sets the page size; maxItems stops following pages once that many items are collected.
+const getAllPages = async (client, url, params = {}, options = {}) => {
+    const { perPage = 1000, maxItems = Infinity } = options;
+    const items = [];
+    let nextUrl = url;
+    let nextParams = { perPage, ...params };
+
+    while (nextUrl) {
+        const response = await client.get(nextUrl, { params: nextParams });
+        items.push(...response.data);
+
+        if (items.length >= maxItems) {
+            if (parseNextLink(response.headers?.link) || items.length > maxItems) {
+                console.warn(`⚠️  Stopped paginating ${url} at the ${maxItems} item cap`);
+            }
+            return items.slice(0, maxItems);
+        }
+
+        // The next link already carries every query parameter
+        nextUrl = parseNextLink(response.headers?.link);
+        nextParams = undefined;
+    }
+
+    return items;
+};
+
+module.exports = {
+    parseNextLink,
+    getAllPages
+};
@@ -0,0 +1,110 @@
+/**
+ * @module meraki_ap_rma
+ * @author Eric Schriver <eschrive@cisco.com>
+ * @copyright Copyright (c) 2025 Cisco and/or its affiliates.
+ * @license Cisco Sample Code License, Version 1.1
+ */
+
+/**
+ * @license
+ * Copyright (c) 2025 Cisco and/or its affiliates.
+ *
+ * This software is licensed to you under the terms of the Cisco Sample
+ * Code License, Version 1.1 (the "License"). You may obtain a copy of the
+ * License at
+ *
+ *                https://developer.cisco.com/docs/licenses
+ *
+ * All use of the material herein must be in accordance with the terms of
+ * the License. All rights not expressly granted by the License are
+ * reserved. Unless required by applicable law or agreed to separately in
+ * writing, software distributed under the License is distributed on an "AS
+ * IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied.
+ */
+
+
+const fs = require('fs');
+const path = require('path');
+const { writeJsonAtomic } = require('./storage');
+
+const NAME_PATTERN = /^[\w .-]{1,50}$/;
+
+// Named transfer profiles ({ name, description, categories }), kept together in one JSON file
+class ProfileStore {
+    constructor(options = {}) {
+        this.file = options.file || path.join(__dirname, '../data/profiles.json');
+        this.pending = Promise.resolve();
+    }
+
+    static isValidName(name) {
+        return typeof name === 'string' && NAME_PATTERN.test(name);
+    }
+
+    async load() {
+        try {
+            return JSON.parse(await fs.promises.readFile(this.file, 'utf8')).profiles || [];
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+    }
+
+    async write(profiles) {
+        await writeJsonAtomic(this.file, { profiles });
+    }
+
+    // Changes run one at a time so two saves never overwrite each other
+    update(change) {
+        const result = this.pending.then(async () => {
+            const profiles = await this.load();
+            const { profiles: updated, value } = change(profiles);
+            if (updated) {
+                await this.write(updated);
+            }
+            return value;
+        });
+        this.pending = result.catch(() => {});
+        return result;
+    }
+
+    async list() {
+        const profiles = await this.load();
+        return profiles.sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    // The profile, or null when there is none with this name (names are case-insensitive)
+    async get(name) {
+        const profiles = await this.load();
+        return profiles.find(profile => profile.name.toLowerCase() === String(name).toLowerCase()) || null;
+    }
+
+    // Create or replace a profile
+    async save(profile) {
+        if (!ProfileStore.isValidName(profile.name)) {
+            throw new Error(`Invalid profile name: ${profile.name}`);
+        }
+
+        return this.update(profiles => ({
+            profiles: [
+                ...profiles.filter(existing => existing.name.toLowerCase() !== profile.name.toLowerCase()),
+                profile
+            ],
+            value: profile
+        }));
+    }
+
+    // True when a profile was deleted
+    async delete(name) {
+        return this.update(profiles => {
+            const remaining = profiles.filter(profile => profile.name.toLowerCase() !== String(name).toLowerCase());
+            return remaining.length === profiles.length
+                ? { profiles: null, value: false }
+                : { profiles: remaining, value: true };
+        });
+    }
+}
+
+module.exports = ProfileStore;
@@ -0,0 +1,122 @@
+/**
+ * @module meraki_ap_rma
+ * @author Eric Schriver <eschrive@cisco.com>
+ * @copyright Copyright (c) 2025 Cisco and/or its affiliates.
+ * @license Cisco Sample Code License, Version 1.1
+ */
+
+/**
+ * @license
+ * Copyright (c) 2025 Cisco and/or its affiliates.
+ *
+ * This software is licensed to you under the terms of the Cisco Sample
+ * Code License, Version 1.1 (the "License"). You may obtain a copy of the
+ * License at
+ *
+ *                https://developer.cisco.com/docs/licenses
+ *
+ * All use of the material herein must be in accordance with the terms of
+ * the License. All rights not expressly granted by the License are
+ * reserved. Unless required by applicable law or agreed to separately in
+ * writing, software distributed under the License is distributed on an "AS
+ * IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied.
+ */
+
+
+// Shared request layer for the Meraki axios clients: a per-API-key call rate cap,
+// retries with jittered exponential backoff, and Retry-After handling for 429 responses.
+
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+const RETRYABLE_NETWORK_ERRORS = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'EPIPE'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Spaces calls evenly so that at most `ratePerSecond` start in any second
+class RateLimiter {
+    constructor(ratePerSecond) {
+        this.interval = 1000 / ratePerSecond;
+        this.nextSlot = 0;
+    }
+
+    acquire() {
+        const now = Date.now();
+        const slot = Math.max(now, this.nextSlot);
+        this.nextSlot = slot + this.interval;
+        return slot > now ? sleep(slot - now) : Promise.resolve();
+    }
+}
+
+// Seconds (or an HTTP date) from a Retry-After header, in milliseconds
+const parseRetryAfter = (value) => {
+    if (!value) {
+        return null;
+    }
+
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+// 429 means the call was not processed, so any method may retry; other failures only for idempotent calls
+const isRetryable = (error) => {
+    const status = error.response?.status;
+    if (status === 429) {
+        return true;
+    }
+
+    const idempotent = IDEMPOTENT_METHODS.includes((error.config?.method || '').toLowerCase());
+    if (!idempotent) {
+        return false;
+    }
+
+    return (status >= 500 && status <= 599) || (!error.response && RETRYABLE_NETWORK_ERRORS.includes(error.code));
+};
+
+// Install the rate cap and retry interceptors on an axios client. `stats` is updated in place.
+const attachRequestLayer = (client, { orgId, limiter, stats, maxRetries, baseDelayMs, maxDelayMs }) => {
+    client.interceptors.request.use(async config => {
+        await limiter.acquire();
+        stats.requests++;
+        return config;
+    });
+
+    client.interceptors.response.use(
+        response => response,
+        async error => {
+            const config = error.config;
+            if (!config || !isRetryable(error)) {
+                return Promise.reject(error);
+            }
+
+            config.retryCount = (config.retryCount || 0) + 1;
+            if (config.retryCount > maxRetries) {
+                stats.exhausted++;
+                return Promise.reject(error);
+            }
+
+            const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** (config.retryCount - 1));
+            const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+            const delay = retryAfter ?? Math.round(Math.random() * backoff); // full jitter
+
+            stats.retries++;
+            if (error.response?.status === 429) {
+                stats.rateLimited++;
+            }
+            console.warn(`🔁 Retry ${config.retryCount}/${maxRetries} [${orgId}] ${config.method.toUpperCase()} ${config.url} in ${delay}ms (${error.response?.status || error.code})`);
+
+            await sleep(delay);
+            return client.request(config);
+        }
+    );
+};
+
+module.exports = {
+    RateLimiter,
+    attachRequestLayer,
+    parseRetryAfter
+};
@@ -0,0 +1,80 @@
+/**
+ * @module meraki_ap_rma
+ * @author Eric Schriver <eschrive@cisco.com>
+ * @copyright Copyright (c) 2025 Cisco and/or its affiliates.
+ * @license Cisco Sample Code License, Version 1.1
+ */
+
+/**
+ * @license
+ * Copyright (c) 2025 Cisco and/or its affiliates.
+ *
+ * This software is licensed to you under the terms of the Cisco Sample
+ * Code License, Version 1.1 (the "License"). You may obtain a copy of the
+ * License at
+ *
+ *                https://developer.cisco.com/docs/licenses
+ *
+ * All use of the material herein must be in accordance with the terms of
+ * the License. All rights not expressly granted by the License are
+ * reserved. Unless required by applicable law or agreed to separately in
+ * writing, software distributed under the License is distributed on an "AS
+ * IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied.
+ */
+
+
+const fs = require('fs');
+const path = require('path');
+const { writeJsonAtomic } = require('./storage');
+
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Pre-replacement configuration snapshots, one JSON file per operation ID
+class SnapshotStore {
+    constructor(options = {}) {
+        this.dir = options.dir || path.join(__dirname, '../data/snapshots');
+        this.pending = Promise.resolve();
+    }
+
+    fileFor(id) {
+        if (!ID_PATTERN.test(id)) {
+            throw new Error(`Invalid snapshot ID: ${id}`);
+        }
+        return path.join(this.dir, `${id.toLowerCase()}.json`);
+    }
+
+    async save(snapshot) {
+        await writeJsonAtomic(this.fileFor(snapshot.id), snapshot);
+        return snapshot;
+    }
+
+    // The snapshot, or null when there is none for this ID
+    async get(id) {
+        if (!ID_PATTERN.test(id)) {
+            return null;
+        }
+
+        try {
+            return JSON.parse(await fs.promises.readFile(this.fileFor(id), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    // Change a saved snapshot with change(snapshot) => snapshot. Updates are serialized so
+    // concurrent changes are not lost; resolves to null when there is no snapshot for this ID.
+    update(id, change) {
+        const result = this.pending.then(async () => {
+            const snapshot = await this.get(id);
+            return snapshot ? this.save(change(snapshot)) : null;
+        });
+        this.pending = result.catch(() => {});
+        return result;
+    }
+}
+
+module.exports = SnapshotStore;
@@ -0,0 +1,48 @@
+/**
+ * @module meraki_ap_rma
+ * @author Eric Schriver <eschrive@cisco.com>
+ * @copyright Copyright (c) 2025 Cisco and/or its affiliates.
+ * @license Cisco Sample Code License, Version 1.1
+ */
+
+/**
+ * @license
+ * Copyright (c) 2025 Cisco and/or its affiliates.
+ *
+ * This software is licensed to you under the terms of the Cisco Sample
+ * Code License, Version 1.1 (the "License"). You may obtain a copy of the
+ * License at
+ *
+ *                https://developer.cisco.com/docs/licenses
+ *
+ * All use of the material herein must be in accordance with the terms of
+ * the License. All rights not expressly granted by the License are
+ * reserved. Unless required by applicable law or agreed to separately in
+ * writing, software distributed under the License is distributed on an "AS
+ * IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied.
+ */
+
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Helpers shared by the file-backed stores (audit log, snapshots, profiles)
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Write value as JSON through a temporary file and a rename, so a crash never leaves a half-written file.
+// Each write gets its own temporary file, so concurrent writes to one file cannot interleave.
+const writeJsonAtomic = async (file, value) => {
+    const temporary = `${file}.${process.pid}.${crypto.randomUUID()}.tmp`;
+
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(temporary, JSON.stringify(value, null, 2));
+    await fs.promises.rename(temporary, file);
+};
+
+module.exports = {
+    DAY_MS,
+    writeJsonAtomic
+};
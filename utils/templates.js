@@ -0,0 +1,183 @@
+/**
+ * @module meraki_ap_rma
+ * @author Eric Schriver <eschrive@cisco.com>
+ * @copyright Copyright (c) 2025 Cisco and/or its affiliates.
+ * @license Cisco Sample Code License, Version 1.1
+ */
+
+/**
+ * @license
+ * Copyright (c) 2025 Cisco and/or its affiliates.
+ *
+ * This software is licensed to you under the terms of the Cisco Sample
+ * Code License, Version 1.1 (the "License"). You may obtain a copy of the
+ * License at
+ *
+ *                https://developer.cisco.com/docs/licenses
+ *
+ * All use of the material herein must be in accordance with the terms of
+ * the License. All rights not expressly granted by the License are
+ * reserved. Unless required by applicable law or agreed to separately in
+ * writing, software distributed under the License is distributed on an "AS
+ * IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied.
+ */
+
+
+const fs = require('fs');
+const path = require('path');
+
+// Templates for the replacement's hostname, notes and extra tags. They use {variable} placeholders
+// (see TEMPLATE_VARIABLES); a set may define any of hostname, notes and tags (a list of tag templates).
+
+const TEMPLATE_VARIABLES = {
+    failedSerial: 'Serial of the failed device',
+    replacementSerial: 'Serial of the replacement device',
+    hostname: 'Name of the failed device (the replacement serial when it has none)',
+    notes: 'Notes of the failed device',
+    date: 'Date of the replacement (YYYY-MM-DD, UTC)',
+    timestamp: 'Time of the replacement (ISO 8601)',
+    operator: 'User who ran the replacement',
+    rmaCase: 'RMA case number',
+    site: 'Network name',
+    organization: 'Organization name'
+};
+
+// What a replacement wrote before templates existed
+const DEFAULT_TEMPLATES = {
+    hostname: '{hostname}',
+    notes: '{notes} [Replaced {failedSerial} on {timestamp}]',
+    tags: []
+};
+
+const TEMPLATE_FIELDS = Object.keys(DEFAULT_TEMPLATES);
+const PLACEHOLDER = /\{(\w+)\}/g;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Unknown placeholders are left as written
+const renderTemplate = (template, variables) => template.replace(PLACEHOLDER, (placeholder, name) =>
+    (name in TEMPLATE_VARIABLES ? String(variables[name] ?? '') : placeholder));
+
+// Does the template use known placeholders that all render empty for these variables?
+const placeholdersEmpty = (template, variables) => {
+    const names = [...template.matchAll(PLACEHOLDER)].map(([, name]) => name).filter(name => name in TEMPLATE_VARIABLES);
+    return names.length > 0 && names.every(name => String(variables[name] ?? '').trim() === '');
+};
+
+// Dashboard tags cannot contain spaces. Tags that render empty, or whose placeholders all render
+// empty ("rma-{rmaCase}" without a case number), are dropped.
+const renderTags = (templates, variables) => templates
+    .filter(template => !placeholdersEmpty(template, variables))
+    .map(template => renderTemplate(template, variables).trim().replace(/\s+/g, '-'))
+    .filter(Boolean);
+
+// Problems with a template set, as messages fit for the operator; empty when the set is usable
+const checkTemplates = (templates) => {
+    if (!isPlainObject(templates)) {
+        return ['Templates must be an object with hostname, notes and/or tags'];
+    }
+
+    const problems = [];
+    const strings = [];
+    for (const [field, value] of Object.entries(templates)) {
+        if (!TEMPLATE_FIELDS.includes(field)) {
+            problems.push(`Unknown template "${field}" (expected ${TEMPLATE_FIELDS.join(', ')})`);
+        } else if (field === 'tags') {
+            if (!Array.isArray(value) || value.length > 10 || !value.every(tag => typeof tag === 'string' && tag.length <= 100)) {
+                problems.push('The tags template must be a list of at most 10 tags of up to 100 characters');
+            } else {
+                strings.push(...value.map(tag => [field, tag]));
+            }
+        } else if (typeof value !== 'string' || value.length > (field === 'notes' ? 1000 : 255)) {
+            problems.push(`The ${field} template must be text of up to ${field === 'notes' ? 1000 : 255} characters`);
+        } else {
+            strings.push([field, value]);
+        }
+    }
+
+    for (const [field, template] of strings) {
+        for (const [, name] of template.matchAll(PLACEHOLDER)) {
+            if (!(name in TEMPLATE_VARIABLES)) {
+                problems.push(`Unknown variable {${name}} in the ${field} template`);
+            }
+        }
+    }
+
+    return problems;
+};
+
+// Field by field, the first set that defines a field wins
+const mergeTemplates = (...sets) => {
+    const merged = {};
+    for (const field of TEMPLATE_FIELDS) {
+        const set = sets.find(candidate => candidate && candidate[field] !== undefined);
+        if (set) {
+            merged[field] = set[field];
+        }
+    }
+    return merged;
+};
+
+// Organization templates from a JSON file: { "default": {...}, "organizations": { "<orgId>": {...} } }.
+// The file is optional and re-read when it changes; invalid template sets are ignored with a warning.
+class TemplateStore {
+    constructor(options = {}) {
+        this.file = options.file || path.join(__dirname, '../config/templates.json');
+        this.loadedAt = null;
+        this.defaults = {};
+        this.organizations = new Map();
+    }
+
+    load() {
+        let modified;
+        try {
+            modified = fs.statSync(this.file).mtimeMs;
+        } catch (error) {
+            this.defaults = {};
+            this.organizations = new Map();
+            this.loadedAt = null;
+            return;
+        }
+
+        if (modified === this.loadedAt) {
+            return;
+        }
+
+        try {
+            const config = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+            const usable = (label, templates) => {
+                const problems = checkTemplates(templates);
+                if (problems.length > 0) {
+                    console.warn(`⚠️  Ignoring ${label} templates in ${this.file}: ${problems.join('; ')}`);
+                    return null;
+                }
+                return templates;
+            };
+
+            this.defaults = (config.default && usable('default', config.default)) || {};
+            this.organizations = new Map(Object.entries(config.organizations || {})
+                .map(([organizationId, templates]) => [String(organizationId), usable(`organization ${organizationId}`, templates)])
+                .filter(([, templates]) => templates));
+            this.loadedAt = modified;
+        } catch (error) {
+            console.error(`❌ Could not read templates from ${this.file}:`, error.message);
+        }
+    }
+
+    // The organization's templates over the file's defaults (fields neither sets leave undefined)
+    forOrganization(organizationId) {
+        this.load();
+        return mergeTemplates(this.organizations.get(String(organizationId)), this.defaults);
+    }
+}
+
+module.exports = {
+    TEMPLATE_VARIABLES,
+    DEFAULT_TEMPLATES,
+    renderTemplate,
+    renderTags,
+    checkTemplates,
+    mergeTemplates,
+    TemplateStore
+};
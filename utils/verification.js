@@ -0,0 +1,93 @@
+/**
+ * @module meraki_ap_rma
+ * @author Eric Schriver <eschrive@cisco.com>
+ * @copyright Copyright (c) 2025 Cisco and/or its affiliates.
+ * @license Cisco Sample Code License, Version 1.1
+ */
+
+/**
+ * @license
+ * Copyright (c) 2025 Cisco and/or its affiliates.
+ *
+ * This software is licensed to you under the terms of the Cisco Sample
+ * Code License, Version 1.1 (the "License"). You may obtain a copy of the
+ * License at
+ *
+ *                https://developer.cisco.com/docs/licenses
+ *
+ * All use of the material herein must be in accordance with the terms of
+ * the License. All rights not expressly granted by the License are
+ * reserved. Unless required by applicable law or agreed to separately in
+ * writing, software distributed under the License is distributed on an "AS
+ * IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied.
+ */
+
+
+// Comparison of what a replacement wrote with what the Dashboard reports back
+
+// Read-only fields the Dashboard echoes back in payloads we copied
+const IGNORED_KEYS = ['serial', 'portId'];
+
+// Setting name prefix for a written path: device, wireless.radio.settings, switch.ports.3, ...
+const settingPrefix = (path, serial) => {
+    const marker = `/devices/${serial}`;
+    const index = path.indexOf(marker);
+    const suffix = index === -1 ? path : path.slice(index + marker.length);
+    const parts = suffix.split('/').filter(Boolean);
+    return parts.length > 0 ? parts.join('.') : 'device';
+};
+
+// Only the parts of the read-back value that were sent, so extra Dashboard fields do not fail a check
+const pickSent = (expected, actual) => {
+    if (expected === null || typeof expected !== 'object' || Array.isArray(expected)) {
+        return actual === undefined ? null : actual;
+    }
+    if (actual === null || typeof actual !== 'object' || Array.isArray(actual)) {
+        return actual === undefined ? null : actual;
+    }
+
+    const picked = {};
+    for (const key of Object.keys(expected)) {
+        picked[key] = pickSent(expected[key], actual[key]);
+    }
+    return picked;
+};
+
+const sameValue = (expected, actual) => JSON.stringify(expected ?? null) === JSON.stringify(pickSent(expected, actual) ?? null);
+
+// One check per top-level setting of a written call. readError is set when the path could not be read back.
+const compareCall = (call, actual, serial, readError = null) => {
+    const prefix = settingPrefix(call.path, serial);
+    const payload = call.payload || {};
+
+    return Object.keys(payload)
+        .filter(key => !IGNORED_KEYS.includes(key))
+        .map(key => {
+            const check = {
+                setting: `${prefix}.${key}`,
+                expected: payload[key] ?? null,
+                actual: readError ? null : pickSent(payload[key], actual?.[key]),
+                passed: !readError && sameValue(payload[key], actual?.[key])
+            };
+            if (readError) {
+                check.error = readError;
+            }
+            return check;
+        });
+};
+
+const summarizeChecks = (checks) => {
+    const passed = checks.filter(check => check.passed).length;
+    return {
+        total: checks.length,
+        passed,
+        failed: checks.length - passed
+    };
+};
+
+module.exports = {
+    settingPrefix,
+    compareCall,
+    summarizeChecks
+};